@@ -0,0 +1,149 @@
+import { createHash } from 'crypto';
+import { readFile, writeFile } from 'fs/promises';
+import { createServer as createNetServer } from 'net';
+import { join } from 'path';
+import { createServer as createTlsServer } from 'tls';
+import aedes from 'aedes';
+import selfsigned from 'selfsigned';
+import { generateRandomString } from '../utils/functions.js';
+import platformLang from '../utils/lang-en.js';
+
+export default class {
+  constructor(platform) {
+    this.certFile = join(platform.api.user.persistPath(), 'meross_broker_cert.json');
+    this.log = platform.log;
+    this.platform = platform;
+    this.port = platform.config.embeddedBrokerPort;
+
+    // The plugin connects to its own broker with credentials that only exist for this run
+    this.internalPassword = generateRandomString(32);
+    this.internalUsername = `homebridge-${generateRandomString(8)}`;
+  }
+
+  async loadCertificate() {
+    try {
+      const stored = JSON.parse(await readFile(this.certFile, 'utf8'));
+      if (stored.cert && stored.private) {
+        return stored;
+      }
+    } catch (err) {
+      // No certificate has been generated yet
+    }
+
+    // Meross devices do not verify the broker certificate, so a self-signed one is enough
+    const pems = selfsigned.generate(
+      [{ name: 'commonName', value: 'homebridge-meross' }],
+      { algorithm: 'sha256', days: 3650, keySize: 2048 },
+    );
+    await writeFile(
+      this.certFile,
+      JSON.stringify({ cert: pems.cert, private: pems.private }),
+      { mode: 0o600 },
+    );
+    return pems;
+  }
+
+  authenticate(client, username, password, callback) {
+    const pass = password ? password.toString() : '';
+    if (username === this.internalUsername && pass === this.internalPassword) {
+      client.isInternal = true;
+      callback(null, true);
+      return;
+    }
+
+    // Devices connect with a client id of fmware:<uuid>_<random>, and are limited to the topics of that uuid
+    const uuid = client.id?.match(/^fmware:([^_]+)_/)?.[1];
+    if (!uuid) {
+      this.log.warn('%s [%s].', platformLang.embeddedAuthFail, username);
+      callback(null, false);
+      return;
+    }
+
+    // Devices log in with their mac address as the username and <userid>_<md5(mac + key)> as the password
+    const hash = pass.split('_').pop();
+    const keys = new Set([
+      this.platform.accountDetails?.key,
+      this.platform.config.userkey,
+      ...Object.values(this.platform.deviceConf).map((el) => el.userkey),
+    ].filter((el) => el));
+    const isValid = [...keys].some(
+      (key) => createHash('md5').update(`${username}${key}`).digest('hex') === hash,
+    );
+    if (isValid) {
+      client.uuid = uuid.toLowerCase();
+    } else {
+      this.log.warn('%s [%s].', platformLang.embeddedAuthFail, username);
+    }
+    callback(null, isValid);
+  }
+
+  isAllowed(client, topic, isPublish) {
+    // The plugin can use any topic, such as the wildcard for the pushes of every device
+    if (!client || client.isInternal) {
+      return true;
+    }
+
+    // A device can only use its own topics, and publish replies to the topic the plugin listens on
+    const isOwnTopic = topic.toLowerCase().startsWith(`/appliance/${client.uuid}/`) && !/[+#]/.test(topic);
+    const isReplyTopic = isPublish && /^\/app\/[^/+#]+\/subscribe$/.test(topic);
+    if (!isOwnTopic && !isReplyTopic) {
+      this.log.warn('%s [%s] [%s].', platformLang.embeddedDenied, client.id, topic);
+      return false;
+    }
+    return true;
+  }
+
+  authorizePublish(client, packet, callback) {
+    callback(this.isAllowed(client, packet.topic, true) ? null : new Error(platformLang.embeddedDenied));
+  }
+
+  authorizeSubscribe(client, sub, callback) {
+    callback(null, this.isAllowed(client, sub.topic, false) ? sub : null);
+  }
+
+  async start() {
+    const { cert, private: key } = await this.loadCertificate();
+    this.broker = aedes({
+      authenticate: (...args) => this.authenticate(...args),
+      authorizePublish: (...args) => this.authorizePublish(...args),
+      authorizeSubscribe: (...args) => this.authorizeSubscribe(...args),
+    });
+    this.broker.on('client', (client) => {
+      this.log.debug('%s [%s].', platformLang.embeddedClient, client.id);
+    });
+
+    // Devices connect over tls, whilst the plugin connects on the loopback interface only
+    this.server = createTlsServer({ cert, key }, this.broker.handle);
+    this.localServer = createNetServer(this.broker.handle);
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    await new Promise((resolve) => {
+      this.localServer.listen(0, '127.0.0.1', resolve);
+    });
+    this.log('%s [%s].', platformLang.embeddedListening, this.port);
+
+    // Return the details the broker client needs to connect
+    return {
+      password: this.internalPassword,
+      url: `mqtt://127.0.0.1:${this.localServer.address().port}`,
+      username: this.internalUsername,
+    };
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+    }
+    if (this.localServer) {
+      this.localServer.close();
+    }
+    if (this.broker) {
+      this.broker.close();
+    }
+  }
+}
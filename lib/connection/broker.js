@@ -0,0 +1,165 @@
+import { createHash } from 'crypto';
+import { connect as mqttConnect } from 'mqtt';
+import pTimeout from 'p-timeout';
+import { generateRandomString } from '../utils/functions.js';
+import platformLang from '../utils/lang-en.js';
+
+export default class {
+  constructor(platform, details = {}) {
+    // The broker details are those of the user's own broker unless given (for the embedded broker)
+    const {
+      password = platform.config.brokerPassword,
+      url = platform.config.brokerUrl,
+      username = platform.config.brokerUsername,
+    } = details;
+    this.clientResponseTopic = `/app/homebridge-${generateRandomString(16)}/subscribe`;
+    this.devices = new Map();
+    this.log = platform.log;
+    this.password = password;
+    this.platform = platform;
+    this.queuedCommands = [];
+    this.status = 'init';
+    this.url = url;
+    this.username = username;
+    this.waitingMessageIds = {};
+  }
+
+  addDevice(accessory) {
+    // Incoming messages are matched to the accessory by the device uuid
+    this.devices.set(accessory.context.serialNumber, accessory);
+    accessory.mqtt = this;
+  }
+
+  removeDevice(accessory) {
+    if (this.devices.get(accessory.context.serialNumber) === accessory) {
+      this.devices.delete(accessory.context.serialNumber);
+    }
+  }
+
+  connect() {
+    this.client = mqttConnect(this.url, {
+      clientId: `homebridge-meross-${generateRandomString(8)}`,
+      username: this.username || undefined,
+      password: this.password || undefined,
+      keepalive: 30,
+      reconnectPeriod: 5000,
+    });
+
+    this.client.on('connect', () => {
+      // Devices publish their pushes to their own topic, and replies to the topic in the request
+      ['/appliance/+/publish', this.clientResponseTopic].forEach((topic) => {
+        this.client.subscribe(topic, (err) => {
+          if (err) {
+            this.log.warn('%s %s.', platformLang.brokerSubErr, err);
+          }
+        });
+      });
+      if (this.status !== 'online') {
+        this.log('%s [%s].', platformLang.brokerConnected, this.url);
+      }
+      this.status = 'online';
+      while (this.queuedCommands.length > 0) {
+        const resolveFn = this.queuedCommands.pop();
+        if (typeof resolveFn === 'function') {
+          resolveFn();
+        }
+      }
+    });
+
+    this.client.on('message', (topic, msg) => {
+      let decMsg;
+      try {
+        decMsg = JSON.parse(msg.toString());
+      } catch (e) {
+        this.log.warn('%s [%s] [%s].', platformLang.mqttMsgErr, e, msg.toString());
+        return;
+      }
+      if (!decMsg.header) {
+        return;
+      }
+
+      // Resolve the request this message is a reply to, if there is one
+      const resolveForThisMessage = this.waitingMessageIds[decMsg.header.messageId];
+      if (typeof resolveForThisMessage === 'function') {
+        resolveForThisMessage({ data: decMsg });
+        delete this.waitingMessageIds[decMsg.header.messageId];
+        return;
+      }
+
+      // Otherwise, dispatch a PUSH to the accessory of the device, whose uuid is in the topic
+      if (decMsg.header.method === 'PUSH' && decMsg.payload) {
+        const accessory = this.devices.get(topic.split('/')[2]);
+        if (accessory) {
+          this.platform.receivePush(accessory, decMsg);
+        }
+      }
+    });
+    this.client.on('error', (error) => {
+      this.log.warn('%s%s.', platformLang.brokerConnErr, error ? ` [${error.toString()}]` : '');
+    });
+    this.client.on('close', () => {
+      if (this.status === 'online') {
+        this.log.warn('%s.', platformLang.brokerClosed);
+      }
+      this.status = 'offline';
+    });
+  }
+
+  disconnect() {
+    if (this.client) {
+      this.client.end(true);
+    }
+  }
+
+  async sendUpdate(accessory, toSend) {
+    // Timeout shorter for get updates than set updates
+    const timeout = toSend.method === 'GET' ? 4000 : 9000;
+
+    // Wait for the client to connect before sending the command
+    if (this.status !== 'online') {
+      let connectResolve;
+      const connectPromise = new Promise((resolve) => {
+        connectResolve = resolve;
+      });
+      this.queuedCommands.push(connectResolve);
+      return pTimeout(connectPromise.then(() => this.sendUpdate(accessory, toSend)), {
+        milliseconds: timeout,
+      });
+    }
+
+    let commandResolve;
+    const commandPromise = new Promise((resolve) => {
+      commandResolve = resolve;
+    });
+
+    // The device checks the sign against its own key, as with local http requests
+    const messageId = generateRandomString(32);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const data = {
+      header: {
+        from: this.clientResponseTopic,
+        messageId,
+        method: toSend.method,
+        namespace: toSend.namespace,
+        payloadVersion: 1,
+        sign: createHash('md5')
+          .update(messageId + accessory.context.userkey + timestamp)
+          .digest('hex'),
+        timestamp,
+      },
+      payload: toSend.payload || {},
+    };
+
+    // Log to send
+    accessory.logDebug(`${platformLang.sendBroker}: ${JSON.stringify(data)}`);
+
+    // Send the message to the topic the device is subscribed to
+    this.client.publish(`/appliance/${accessory.context.serialNumber}/subscribe`, JSON.stringify(data));
+    this.waitingMessageIds[messageId] = commandResolve;
+    return pTimeout(commandPromise, {
+      milliseconds: timeout,
+    }).finally(() => {
+      delete this.waitingMessageIds[messageId];
+    });
+  }
+}
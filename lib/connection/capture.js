@@ -0,0 +1,109 @@
+import { appendFile, rename, stat } from 'fs/promises';
+import { join } from 'path';
+import platformConsts from '../utils/constants.js';
+import { parseError } from '../utils/functions.js';
+import platformLang from '../utils/lang-en.js';
+
+// Values under these keys would give control of the account or device, or show the wifi details
+const secretKeys = ['bssid', 'email', 'encryptionKey', 'key', 'password', 'sign', 'ssid', 'token', 'userId', 'userid', 'userkey'];
+
+const redact = (value, secrets) => {
+  if (Array.isArray(value)) {
+    return value.map((el) => redact(el, secrets));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, secretKeys.includes(k) ? '[redacted]' : redact(v, secrets)]),
+    );
+  }
+
+  // Account values can also appear within strings, such as the mqtt topic of the plugin
+  if (typeof value === 'string') {
+    return secrets.reduce((str, secret) => str.split(secret).join('[redacted]'), value);
+  }
+  return value;
+};
+
+// Records the messages to and from each device in a json lines file, to help add support for new devices
+export default class {
+  constructor(platform) {
+    this.file = join(platform.api.user.storagePath(), 'meross_capture.jsonl');
+    this.platform = platform;
+    this.probing = new Set();
+    this.writing = Promise.resolve();
+  }
+
+  record(accessory, type, data) {
+    const { context } = accessory;
+    const { key, token, userid } = this.platform.accountDetails || {};
+    const secrets = [context.userkey, key, token, userid]
+      .filter((el) => el && String(el).length > 4)
+      .map(String);
+    const line = JSON.stringify(redact({
+      time: new Date().toISOString(),
+      serialNumber: context.serialNumber,
+      model: context.model,
+      type,
+      ...data,
+    }, secrets));
+
+    // Entries are written one at a time so they stay in order
+    this.writing = this.writing
+      .then(() => this.write(`${line}\n`))
+      .catch((err) => this.platform.log.warn('%s %s.', platformLang.captureFail, parseError(err)));
+  }
+
+  async write(line) {
+    // The file is rotated once it reaches the size limit, keeping the one before
+    try {
+      const { size } = await stat(this.file);
+      if (size + Buffer.byteLength(line) > platformConsts.capture.maxSize) {
+        await rename(this.file, this.file.replace(/\.jsonl$/, '.1.jsonl'));
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    await appendFile(this.file, line);
+  }
+
+  async probeAbilities(accessory) {
+    // Every namespace the device reports is requested once, so the replies are in the capture
+    // A device is only probed once, which is kept in the accessory context so survives a restart
+    const { captureProbed, serialNumber } = accessory.context;
+    if (captureProbed || this.probing.has(serialNumber)) {
+      return;
+    }
+    this.probing.add(serialNumber);
+    try {
+      const res = await this.platform.sendUpdate(accessory, {
+        namespace: 'Appliance.System.Ability',
+        payload: {},
+      });
+      const namespaces = Object.keys(res.payload?.ability || {})
+        .filter((namespace) => !platformConsts.capture.skipNamespaces.includes(namespace));
+      accessory.log(`${platformLang.captureProbe} [${namespaces.length}]`);
+      await namespaces.reduce(async (previous, namespace) => {
+        await previous;
+        const send = () => this.platform.sendUpdate(accessory, { namespace, method: 'GET', payload: {} });
+        try {
+          await (accessory.control?.queue ? accessory.control.queue.add(send) : send());
+        } catch (err) {
+          // The error is in the capture, and many namespaces cannot be requested without a payload
+        }
+      }, Promise.resolve());
+      accessory.log(platformLang.captureProbeDone);
+      const accessories = [accessory, ...this.platform.devicesInHB.values()]
+        .filter((el, index, arr) => el.context.serialNumber === serialNumber && arr.indexOf(el) === index);
+      accessories.forEach((el) => {
+        el.context.captureProbed = true;
+      });
+      this.platform.api.updatePlatformAccessories(accessories.filter((el) => !el.context.hidden));
+    } catch (err) {
+      accessory.logWarn(`${platformLang.captureProbeFail} ${parseError(err)}`);
+    } finally {
+      this.probing.delete(serialNumber);
+    }
+  }
+}
@@ -0,0 +1,202 @@
+import { createHash } from 'crypto';
+import { networkInterfaces } from 'os';
+import axios from 'axios';
+import PQueue from 'p-queue'; // eslint-disable-line import/no-unresolved
+import platformConsts from '../utils/constants.js';
+import { generateRandomString, parseError } from '../utils/functions.js';
+import platformLang from '../utils/lang-en.js';
+
+// The config array for each type of device that can be controlled locally
+const configKeys = {
+  baby: 'babyDevices',
+  diffuser: 'diffuserDevices',
+  fan: 'fanDevices',
+  garage: 'garageDevices',
+  humidifier: 'humidifierDevices',
+  lightCCT: 'lightDevices',
+  lightDimmer: 'lightDevices',
+  lightRGB: 'lightDevices',
+  purifier: 'purifierDevices',
+  roller: 'rollerDevices',
+  switchMulti: 'multiDevices',
+  switchSingle: 'singleDevices',
+};
+
+const ipToInt = (ip) => ip.split('.').reduce((int, octet) => (int * 256) + parseInt(octet, 10), 0);
+
+const intToIp = (int) => [24, 16, 8, 0].map((shift) => Math.floor(int / 2 ** shift) % 256).join('.');
+
+const getNetworkHosts = (cidr, minPrefix) => {
+  const [address, bits] = cidr.split('/');
+  const size = 2 ** (32 - Math.max(parseInt(bits, 10), minPrefix));
+  const network = ipToInt(address) - (ipToInt(address) % size);
+
+  // A /31 or /32 network, as used by vpn interfaces, has no other hosts to scan
+  return [...Array(Math.max(size - 2, 0)).keys()].map((index) => intToIp(network + index + 1));
+};
+
+const getSubnetHosts = (cidr) => {
+  // A given subnet is scanned in full, so is limited in size
+  if (cidr) {
+    const [address, bits] = cidr.trim().split('/');
+    const prefix = parseInt(bits, 10);
+    const octets = (address || '').split('.');
+    if (
+      octets.length !== 4
+      || octets.some((octet) => !/^\d{1,3}$/.test(octet) || parseInt(octet, 10) > 255)
+      || Number.isNaN(prefix)
+      || prefix < platformConsts.discovery.minPrefix
+      || prefix > 30
+    ) {
+      throw new Error(platformLang.scanInvalidSubnet);
+    }
+    return getNetworkHosts(`${address}/${prefix}`, platformConsts.discovery.minPrefix);
+  }
+
+  // Otherwise scan the ipv4 networks the plugin is on, limited to the /24 around the plugin
+  const hosts = new Set();
+  Object.values(networkInterfaces())
+    .flat()
+    .filter((iface) => iface.family === 'IPv4' && !iface.internal && iface.cidr)
+    .forEach((iface) => {
+      getNetworkHosts(iface.cidr, 24).forEach((host) => hosts.add(host));
+      hosts.delete(iface.address);
+    });
+  return [...hosts];
+};
+
+const probe = async (ipAddress, userkey) => {
+  // Ask the address for the device status with a signed request, as the Meross app does locally
+  const timestamp = Math.floor(Date.now() / 1000);
+  const messageId = generateRandomString(32);
+  try {
+    const res = await axios({
+      url: `http://${ipAddress}/config`,
+      method: 'post',
+      proxy: false,
+      data: {
+        header: {
+          from: `http://${ipAddress}/config`,
+          messageId,
+          method: 'GET',
+          namespace: 'Appliance.System.All',
+          payloadVersion: 1,
+          sign: createHash('md5').update(messageId + userkey + timestamp).digest('hex'),
+          timestamp,
+          triggerSrc: 'iOSLocal',
+        },
+        payload: {},
+      },
+      timeout: platformConsts.discovery.timeout,
+    });
+
+    // Devices that only accept encrypted requests do not reply with json, so cannot be identified
+    const { digest, system } = res.data?.payload?.all || {};
+    const uuid = system?.hardware?.uuid || res.data?.header?.from?.split('/')[2];
+    if (!uuid) {
+      return false;
+    }
+    return {
+      channelCount: [].concat(digest?.togglex || []).length || 1,
+      firmware: system?.firmware?.version,
+      hardware: system?.hardware?.version,
+      ipAddress,
+      macAddress: system?.hardware?.macAddress?.toUpperCase(),
+      model: system?.hardware?.type?.toUpperCase(),
+      uuid,
+    };
+  } catch (err) {
+    return false;
+  }
+};
+
+const scanNetwork = async (userkey, cidr) => {
+  const queue = new PQueue({ concurrency: platformConsts.discovery.concurrency });
+  const results = await Promise.all(
+    getSubnetHosts(cidr).map((ip) => queue.add(() => probe(ip, userkey))),
+  );
+  return results.filter((el) => el);
+};
+
+const getConfigEntry = (device) => {
+  // The config array for the model, with an entry to control the device locally
+  const configKey = Object.keys(configKeys).find((key) => {
+    const models = platformConsts.models[key];
+    return (Array.isArray(models) ? models : Object.keys(models)).includes(device.model);
+  });
+  if (!configKey || platformConsts.noLocalControl.includes(device.model)) {
+    return {};
+  }
+  return {
+    configKey: configKeys[configKey],
+    entry: {
+      name: `${device.model} ${device.uuid.slice(-4).toUpperCase()}`,
+      serialNumber: device.uuid,
+      connection: 'local',
+      deviceUrl: device.ipAddress,
+      model: device.model,
+    },
+  };
+};
+
+export default class {
+  constructor(platform) {
+    this.lastSearches = new Map();
+    this.platform = platform;
+    this.scans = new Map();
+  }
+
+  async scan(userkey) {
+    // Devices that stop responding at the same time share one scan of the network
+    if (!this.scans.has(userkey)) {
+      this.scans.set(userkey, (async () => {
+        try {
+          return await scanNetwork(userkey);
+        } finally {
+          this.scans.delete(userkey);
+        }
+      })());
+    }
+    return this.scans.get(userkey);
+  }
+
+  async rediscover(accessory) {
+    const { context } = accessory;
+
+    // A device is searched for at most every so often, as a scan sends a request to every address
+    if (!context.userkey || Date.now() - (this.lastSearches.get(context.serialNumber) || 0) < platformConsts.discovery.interval) {
+      return;
+    }
+    this.lastSearches.set(context.serialNumber, Date.now());
+    try {
+      accessory.logDebug(platformLang.rediscoverStart);
+      const found = (await this.scan(context.userkey)).find((el) => el.uuid === context.serialNumber);
+      if (!found) {
+        accessory.logDebugWarn(platformLang.rediscoverFail);
+        return;
+      }
+      if (found.ipAddress === (context.deviceUrl || context.ipAddress)) {
+        return;
+      }
+
+      // Update every accessory of the device, a configured ip address is replaced until the next restart
+      const accessories = [accessory, ...this.platform.devicesInHB.values()]
+        .filter((el, index, arr) => el.context.serialNumber === context.serialNumber && arr.indexOf(el) === index);
+      accessories.forEach((el) => {
+        el.context.ipAddress = found.ipAddress;
+        if (el.context.deviceUrl) {
+          el.context.deviceUrl = found.ipAddress;
+        }
+      });
+      this.platform.api.updatePlatformAccessories(accessories.filter((el) => !el.context.hidden));
+      accessory.log(`${platformLang.rediscovered} [${found.ipAddress}]`);
+      if (context.options?.deviceUrl) {
+        accessory.logWarn(`${platformLang.rediscoverConfig} [${found.ipAddress}]`);
+      }
+    } catch (err) {
+      accessory.logDebugWarn(`${platformLang.rediscoverFail} ${parseError(err)}`);
+    }
+  }
+}
+
+export { getConfigEntry, scanNetwork };
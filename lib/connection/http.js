@@ -1,13 +1,25 @@
 import { createHash } from 'crypto';
+import { readFile, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
 import axios from 'axios';
 import platformConsts from '../utils/constants.js';
+import {
+  CloudError,
+  CloudNetworkError,
+  CloudResponseError,
+  CloudTokenError,
+} from '../utils/errors.js';
 import {
   encodeParams,
   generateRandomString,
-  hasProperty,
+  parseError,
   sleep,
 } from '../utils/functions.js';
 import platformLang from '../utils/lang-en.js';
+import { getProxyAgent, getProxyUrl } from './proxy.js';
+
+// Meross reports domains as urls, but only the host is needed
+const parseHost = (domain) => domain.replace(/^https?:\/\//, '').replace(/\/+$/, '');
 
 export default class {
   constructor(platform) {
@@ -17,275 +29,363 @@ export default class {
     this.localUUIDs = platform.localUUIDs;
     this.log = platform.log;
     this.password = platform.config.password;
+    this.platform = platform;
     this.username = platform.config.username;
     this.userkey = platform.config.userkey;
-    this.domain = platform.config.domain;
+    this.domainOverride = platform.config.domain ? parseHost(platform.config.domain) : false;
+    this.domain = this.domainOverride || platformConsts.defaultValues.domain;
+    this.mfaCode = platform.config.mfaCode?.toString().trim();
+    this.proxy = platform.config.proxy;
+    this.sessionFile = join(platform.api.user.persistPath(), 'meross_session.json');
   }
 
-  async login() {
+  async loadSession() {
     try {
-      const nonce = generateRandomString(16);
-      const timestampMillis = Date.now();
-      const loginParams = encodeParams({
-        email: this.username,
-        password: this.password,
-      });
-
-      // Generate the md5-hash (called signature)
-      const datatosign = `23x17ahWarFH6w29${timestampMillis}${nonce}${loginParams}`;
-      const md5hash = createHash('md5')
-        .update(datatosign)
-        .digest('hex');
-
-      const res = await axios({
-        url: `https://${this.domain}/v1/Auth/Login`,
-        method: 'post',
-        headers: {
-          Authorization: 'Basic ',
-          vender: 'Meross',
-          AppVersion: '1.3.0',
-          AppLanguage: 'EN',
-          'User-Agent': 'okhttp/3.6.0',
-        },
-        data: {
-          params: loginParams,
-          sign: md5hash,
-          timestamp: timestampMillis,
-          nonce,
-        },
-      });
-
-      // Check to see we got a response
-      if (!res.data || !res.data.data) {
-        throw new Error(platformLang.noResponse);
+      // A stored session is only valid for the account it was created with
+      const session = JSON.parse(await readFile(this.sessionFile, 'utf8'));
+      if (session.username !== this.username || !session.key || !session.token || !session.userid) {
+        return false;
       }
 
-      if (Object.keys(res.data.data).length === 0) {
-        // Sometimes returns 'Wrong password', sometimes 'Incorrect password'
-        if (res.data.info?.includes('password') || res.data.apiStatus === 1004) {
-          if (this.base64Tried) {
-            throw new Error(res.data.info || `${platformLang.loginFail} - ${JSON.stringify(res.data)}`);
-          } else {
-            this.base64Tried = true;
-            this.password = Buffer.from(this.password, 'base64')
-              .toString('utf8')
-              .replace(/(\r\n|\n|\r)/gm, '')
-              .trim();
-            return await this.login();
-          }
-        }
-        throw new Error(res.data.info || `${platformLang.loginFail} - ${JSON.stringify(res.data)}`);
-      }
-      this.key = res.data.data.key;
-      this.token = res.data.data.token;
-      this.userid = res.data.data.userid;
-      if (!this.userkey) {
-        this.log.debugWarn('%s: %s', platformLang.merossKey, this.key);
+      // Use the region of the stored session unless the user has set a domain
+      if (session.domain && !this.domainOverride) {
+        this.domain = session.domain;
       }
-      return {
-        key: this.key,
-        token: this.token,
-        userid: this.userid,
-      };
+      this.mqttDomain = session.mqttDomain;
+      return session;
     } catch (err) {
-      if (err.code && platformConsts.httpRetryCodes.includes(err.code)) {
-        // Retry if another attempt could be successful
-        this.log.warn('%s [login() - %s].', platformLang.httpRetry, err.code);
-        await sleep(30000);
-        return this.login();
-      }
-      throw err;
+      // No stored session or the file is unreadable
+      return false;
     }
   }
 
-  async getDevices() {
+  async saveSession() {
     try {
-      if (!this.key || !this.token || !this.userid) {
-        throw new Error(platformLang.notAuth);
-      }
+      // The file contains the account token so only make it readable by the homebridge user
+      await writeFile(
+        this.sessionFile,
+        JSON.stringify({
+          username: this.username,
+          key: this.key,
+          token: this.token,
+          userid: this.userid,
+          domain: this.domain,
+          mqttDomain: this.mqttDomain,
+        }),
+        { mode: 0o600 },
+      );
+    } catch (err) {
+      this.log.warn('%s %s.', platformLang.sessionSaveErr, parseError(err));
+    }
+  }
+
+  async clearSession() {
+    try {
+      await unlink(this.sessionFile);
+    } catch (err) {
+      // No need to show errors if the file does not exist
+    }
+  }
 
-      const nonce = generateRandomString(16);
-      const timestampMillis = Date.now();
-      const loginParams = encodeParams({});
+  async request(path, params = {}, options = {}, attempt = 1) {
+    const {
+      auth = true,
+      errorText = platformLang.invalidResponse,
+      isValid = (data) => data.apiStatus === 0,
+      maxAttempts = platformConsts.httpRetry.maxAttempts,
+      retryAuth = auth,
+    } = options;
+
+    if (auth && !this.token) {
+      throw new CloudError(platformLang.notAuth);
+    }
 
-      // Generate the md5-hash (called signature)
-      const datatosign = `23x17ahWarFH6w29${timestampMillis}${nonce}${loginParams}`;
-      const md5hash = createHash('md5')
-        .update(datatosign)
-        .digest('hex');
+    // Generate the md5-hash (called signature) from the encoded params
+    const nonce = generateRandomString(16);
+    const timestampMillis = Date.now();
+    const encodedParams = encodeParams(params);
+    const datatosign = `23x17ahWarFH6w29${timestampMillis}${nonce}${encodedParams}`;
+    const md5hash = createHash('md5')
+      .update(datatosign)
+      .digest('hex');
 
-      const res = await axios({
-        url: `https://${this.domain}/v1/Device/devList`,
+    // Send the request via a proxy if one is configured for this domain
+    const proxyUrl = getProxyUrl(this.proxy, this.domain);
+    if (proxyUrl && proxyUrl !== this.proxyUrl) {
+      this.proxyUrl = proxyUrl;
+      this.proxyAgent = getProxyAgent(proxyUrl);
+    }
+
+    let res;
+    try {
+      res = await axios({
+        url: `https://${this.domain}${path}`,
         method: 'post',
+        proxy: false,
+        httpsAgent: proxyUrl ? this.proxyAgent : undefined,
         headers: {
-          Authorization: `Basic ${this.token}`,
+          Authorization: `Basic ${auth ? this.token : ''}`,
           vender: 'Meross',
           AppVersion: '1.3.0',
           AppLanguage: 'EN',
           'User-Agent': 'okhttp/3.6.0',
         },
         data: {
-          params: loginParams,
+          params: encodedParams,
           sign: md5hash,
           timestamp: timestampMillis,
           nonce,
         },
-      });
 
-      // Check to see we got a response
-      if (!res.data) {
-        throw new Error(platformLang.noResponse);
+        // A request that gets no reply in time is retried like any other network error
+        timeout: platformConsts.httpRetry.timeout,
+      });
+    } catch (err) {
+      const status = err.response?.status;
+      const reason = err.code || status;
+      const canRetry = platformConsts.httpRetryCodes.includes(err.code) || status >= 500;
+      if (!canRetry || attempt >= maxAttempts) {
+        throw new CloudNetworkError(`${platformLang.noResponse} [${reason}]`, { code: err.code, status });
       }
 
-      if (!hasProperty(res.data, 'data') || !Array.isArray(res.data.data)) {
-        throw new Error(`${platformLang.invalidDevices} - ${JSON.stringify(res.data)}`);
+      // Retry if another attempt could be successful, backing off exponentially with jitter
+      const { maxDelay, minDelay } = platformConsts.httpRetry;
+      const delay = Math.round(Math.min(minDelay * 2 ** (attempt - 1), maxDelay) * (0.5 + Math.random() / 2));
+      this.log.warn('%s %ss [%s - %s].', platformLang.httpRetry, Math.round(delay / 1000), path, reason);
+      await sleep(delay);
+      return this.request(path, params, options, attempt + 1);
+    }
+
+    // Check to see we got a response
+    const { data } = res;
+    if (!data) {
+      throw new CloudResponseError(platformLang.noResponse);
+    }
+
+    // The account may belong to another region, in which case Meross replies with the domain to use
+    if (
+      data.apiStatus === platformConsts.redirectCode
+      && data.data?.domain
+      && !this.domainOverride
+      && !options.redirected
+    ) {
+      this.domain = parseHost(data.data.domain);
+      this.log.debug('%s [%s].', platformLang.regionRedirect, this.domain);
+      return this.request(path, params, { ...options, redirected: true });
+    }
+
+    // Check the token has not expired or been revoked, logging in again and retrying once if so
+    if (auth && platformConsts.tokenErrorCodes.includes(data.apiStatus)) {
+      if (retryAuth) {
+        await this.reauthenticate();
+        return this.request(path, params, { ...options, retryAuth: false });
       }
+      throw new CloudTokenError(platformLang.tokenInvalid, { apiStatus: data.apiStatus, info: data.info });
+    }
 
-      // Don't return ignored devices or those that have been configured for local control
-      const toReturn = [];
-      res.data.data.forEach((device) => {
-        // Don't initialise the device if ignored or configured for local control
-        if (this.ignoredDevices.includes(device.uuid) || this.localUUIDs.includes(device.uuid)) {
-          this.log('[%s] %s.', device.devName, platformLang.noInitIgnore);
-          return;
-        }
+    // Let the caller decide if the response contains what it needs
+    if (!isValid(data)) {
+      throw new CloudResponseError(`${errorText} - ${JSON.stringify(data)}`, {
+        apiStatus: data.apiStatus,
+        info: data.info,
+        data,
+      });
+    }
+    return data;
+  }
 
-        const model = device.deviceType.toUpperCase();
-
-        // Don't initialise the device if the 'ignore homekit native option' is enabled and hardware matches
-        if (
-          this.ignoreHKNative
-          && device.hdwareVersion
-          && Array.isArray(platformConsts.hkNativeHardware[model])
-          && platformConsts.hkNativeHardware[model].includes(device.hdwareVersion.charAt(0))
-        ) {
-          this.log('[%s] %s.', device.devName, platformLang.noInitHKIgnore);
-          return;
-        }
+  async validateSession() {
+    try {
+      // The latest firmware list is a small response that needs a valid token
+      await this.request('/v1/Device/latestVersion', {}, { maxAttempts: 1, retryAuth: false });
+      return true;
+    } catch (err) {
+      this.log.debugWarn('%s %s.', platformLang.sessionCheckErr, parseError(err));
+      return false;
+    }
+  }
 
-        // Don't initialise the device if the 'ignore matter option' is enabled and hardware matches
-        if (
-          this.ignoreMatter
-          && device.hdwareVersion
-          && Array.isArray(platformConsts.matterHardware[model])
-          && platformConsts.matterHardware[model].includes(device.hdwareVersion.charAt(0))
-        ) {
-          this.log('[%s] %s.', device.devName, platformLang.noInitMatterIgnore);
-          return;
+  async login() {
+    // Reuse the session from a previous run if it is still accepted by Meross
+    if (!this.sessionChecked) {
+      this.sessionChecked = true;
+      const session = await this.loadSession();
+      if (session) {
+        this.key = session.key;
+        this.token = session.token;
+        this.userid = session.userid;
+        if (await this.validateSession()) {
+          this.log.debug('%s.', platformLang.sessionReused);
+          if (!this.userkey) {
+            this.log.debugWarn('%s: %s', platformLang.merossKey, this.key);
+          }
+          return {
+            key: this.key,
+            token: this.token,
+            userid: this.userid,
+            mqttDomain: this.mqttDomain,
+          };
         }
+        this.log.debug('%s.', platformLang.sessionInvalid);
+      }
+    }
 
-        // Add the device to the return array for the plugin to initialise as a cloud device
-        toReturn.push(device);
-      });
+    // Accounts with multi-factor authentication enabled also need a code from the authenticator app
+    const params = {
+      email: this.username,
+      password: this.password,
+    };
+    if (this.mfaCode) {
+      params.mfaCode = this.mfaCode;
+    }
 
-      // Return the amended device list
-      return toReturn;
+    let res;
+    try {
+      res = await this.request(
+        '/v1/Auth/Login',
+        params,
+        {
+          auth: false,
+          errorText: platformLang.loginFail,
+          isValid: (data) => data.data && Object.keys(data.data).length > 0,
+        },
+      );
     } catch (err) {
-      if (err.code && platformConsts.httpRetryCodes.includes(err.code)) {
-        // Retry if another attempt could be successful
-        this.log.warn('%s [getDevices() - %s].', platformLang.httpRetry, err.code);
-        await sleep(30000);
+      if (err instanceof CloudResponseError && err.apiStatus === platformConsts.mfaErrorCodes.required) {
+        throw new CloudResponseError(platformLang.mfaRequired, { apiStatus: err.apiStatus });
+      }
+      if (err instanceof CloudResponseError && err.apiStatus === platformConsts.mfaErrorCodes.wrong) {
+        throw new CloudResponseError(platformLang.mfaWrong, { apiStatus: err.apiStatus });
+      }
+
+      // Sometimes returns 'Wrong password', sometimes 'Incorrect password'
+      if (
+        err instanceof CloudResponseError
+        && (err.info?.includes('password') || err.apiStatus === 1004)
+        && !this.base64Tried
+      ) {
+        // The password may have been entered base64 encoded, so try again with it decoded
+        this.base64Tried = true;
+        this.password = Buffer.from(this.password, 'base64')
+          .toString('utf8')
+          .replace(/(\r\n|\n|\r)/gm, '')
+          .trim();
         return this.login();
       }
       throw err;
     }
+
+    this.key = res.data.key;
+    this.token = res.data.token;
+    this.userid = res.data.userid;
+
+    // The login response tells us which api and mqtt domains the account uses
+    if (res.data.domain && !this.domainOverride) {
+      this.domain = parseHost(res.data.domain);
+    }
+    if (res.data.mqttDomain) {
+      this.mqttDomain = parseHost(res.data.mqttDomain);
+    }
+    this.log.debug('%s [%s] [%s].', platformLang.regionDomains, this.domain, this.mqttDomain);
+    if (!this.userkey) {
+      this.log.debugWarn('%s: %s', platformLang.merossKey, this.key);
+    }
+
+    // Store the session so it can be reused when homebridge restarts
+    await this.saveSession();
+    return {
+      key: this.key,
+      token: this.token,
+      userid: this.userid,
+      mqttDomain: this.mqttDomain,
+    };
   }
 
-  async getSubDevices(device) {
-    try {
-      if (!this.key || !this.token || !this.userid) {
-        throw new Error(platformLang.notAuth);
-      }
+  async reauthenticate() {
+    // Requests that fail at the same time should all wait for the same login
+    if (!this.reauthPromise) {
+      this.reauthPromise = (async () => {
+        try {
+          this.log.warn('%s.', platformLang.tokenRelogin);
 
-      const nonce = generateRandomString(16);
-      const timestampMillis = Date.now();
-      const loginParams = encodeParams({
-        uuid: device.uuid,
-      });
+          // Skip the stored session as this is the token that has just been rejected
+          this.sessionChecked = true;
+          this.platform.accountDetails = await this.login();
 
-      // Generate the md5-hash (called signature)
-      const datatosign = `23x17ahWarFH6w29${timestampMillis}${nonce}${loginParams}`;
-      const md5hash = createHash('md5')
-        .update(datatosign)
-        .digest('hex');
+          // Pass the new credentials to the mqtt client so it can reconnect
+          if (this.platform.mqttClient) {
+            this.platform.mqttClient.updateCredentials(this.platform.accountDetails);
+          }
+        } finally {
+          this.reauthPromise = null;
+        }
+      })();
+    }
+    return this.reauthPromise;
+  }
 
-      const res = await axios({
-        url: 'https://iot.meross.com/v1/Hub/getSubDevices',
-        method: 'post',
-        headers: {
-          Authorization: `Basic ${this.token}`,
-          vender: 'Meross',
-          AppVersion: '1.3.0',
-          AppLanguage: 'EN',
-          'User-Agent': 'okhttp/3.6.0',
-        },
-        data: {
-          params: loginParams,
-          sign: md5hash,
-          timestamp: timestampMillis,
-          nonce,
-        },
-      });
+  async getDevices() {
+    const res = await this.request('/v1/Device/devList', {}, {
+      errorText: platformLang.invalidDevices,
+      isValid: (data) => Array.isArray(data.data),
+    });
 
-      // Check to see we got a response
-      if (!res.data) {
-        throw new Error(platformLang.noResponse);
+    // Don't return ignored devices or those that have been configured for local control
+    const toReturn = [];
+    res.data.forEach((device) => {
+      // Don't initialise the device if ignored or configured for local control
+      if (this.ignoredDevices.includes(device.uuid) || this.localUUIDs.includes(device.uuid)) {
+        this.log('[%s] %s.', device.devName, platformLang.noInitIgnore);
+        return;
       }
 
+      const model = device.deviceType.toUpperCase();
+
+      // Don't initialise the device if the 'ignore homekit native option' is enabled and hardware matches
       if (
-        res.data.info !== 'Success'
-        || !hasProperty(res.data, 'data')
-        || !Array.isArray(res.data.data)
+        this.ignoreHKNative
+        && device.hdwareVersion
+        && Array.isArray(platformConsts.hkNativeHardware[model])
+        && platformConsts.hkNativeHardware[model].includes(device.hdwareVersion.charAt(0))
       ) {
-        throw new Error(`${platformLang.invalidSubdevices} - ${JSON.stringify(res.data)}`);
+        this.log('[%s] %s.', device.devName, platformLang.noInitHKIgnore);
+        return;
       }
 
-      // Return the subdevice list to the platform
-      return res.data.data;
-    } catch (err) {
-      if (err.code && platformConsts.httpRetryCodes.includes(err.code)) {
-        // Retry if another attempt could be successful
-        this.log.warn('%s [getDevices() - %s].', platformLang.httpRetry, err.code);
-        await sleep(30000);
-        return this.login();
+      // Don't initialise the device if the 'ignore matter option' is enabled and hardware matches
+      if (
+        this.ignoreMatter
+        && device.hdwareVersion
+        && Array.isArray(platformConsts.matterHardware[model])
+        && platformConsts.matterHardware[model].includes(device.hdwareVersion.charAt(0))
+      ) {
+        this.log('[%s] %s.', device.devName, platformLang.noInitMatterIgnore);
+        return;
       }
-      throw err;
-    }
-  }
 
-  async logout() {
-    try {
-      if (!this.key || !this.token || !this.userid) {
-        throw new Error(platformLang.notAuth);
-      }
+      // Add the device to the return array for the plugin to initialise as a cloud device
+      toReturn.push(device);
+    });
 
-      const nonce = generateRandomString(16);
-      const timestampMillis = Date.now();
-      const loginParams = encodeParams({});
+    // Return the amended device list
+    return toReturn;
+  }
 
-      // Generate the md5-hash (called signature)
-      const datatosign = `23x17ahWarFH6w29${timestampMillis}${nonce}${loginParams}`;
-      const md5hash = createHash('md5')
-        .update(datatosign)
-        .digest('hex');
+  async getSubDevices(device) {
+    const res = await this.request('/v1/Hub/getSubDevices', { uuid: device.uuid }, {
+      errorText: platformLang.invalidSubdevices,
+      isValid: (data) => data.info === 'Success' && Array.isArray(data.data),
+    });
 
-      await axios({
-        url: `https://${this.domain}/v1/Profile/logout`,
-        method: 'post',
-        headers: {
-          Authorization: `Basic ${this.token}`,
-          vender: 'Meross',
-          AppVersion: '1.3.0',
-          AppLanguage: 'EN',
-          'User-Agent': 'okhttp/3.6.0',
-        },
-        data: {
-          params: loginParams,
-          sign: md5hash,
-          timestamp: timestampMillis,
-          nonce,
-        },
-      });
+    // Return the subdevice list to the platform
+    return res.data;
+  }
+
+  async logout() {
+    try {
+      // The token is invalidated by the logout so the stored session is no longer of use
+      await this.clearSession();
+      await this.request('/v1/Profile/logout', {}, { maxAttempts: 1, retryAuth: false });
     } catch (err) {
       // No need to show errors as this is only called on plugin shutdown
     }
@@ -1,31 +1,56 @@
 import { createHash } from 'crypto';
-import { connect as mqttConnect } from 'mqtt';
+import { MqttClient, connect as mqttConnect } from 'mqtt';
 import pTimeout from 'p-timeout';
-import { generateRandomString } from '../utils/functions.js';
+import { generateRandomString, parseError } from '../utils/functions.js';
 import platformLang from '../utils/lang-en.js';
+import { getMqttStreamBuilder, getProxyAgent, getProxyUrl } from './proxy.js';
 
 export default class {
-  constructor(platform, accessory) {
-    this.accessory = accessory;
+  constructor(platform) {
     this.clientResponseTopic = null;
+    this.devices = new Map();
+    this.failedAttempts = 0;
     this.key = platform.accountDetails.key;
+    this.log = platform.log;
     this.platform = platform;
+    this.proxy = platform.config.proxy;
     this.queuedCommands = [];
     this.status = 'init';
+    this.transportMode = platform.config.mqttTransport;
+    this.transport = this.transportMode === 'wss' ? 'wss' : 'mqtts';
     this.userid = platform.accountDetails.userid;
-    this.uuid = accessory.context.serialNumber;
     this.waitingMessageIds = {};
   }
 
-  connect() {
-    const randomUUID = this.accessory.UUID.substring(0, this.accessory.UUID.length - 6) + generateRandomString(6);
+  addDevice(accessory) {
+    // Incoming messages are matched to the accessory by the device uuid
+    this.devices.set(accessory.context.serialNumber, accessory);
+    accessory.mqtt = this;
+    if (this.status === 'online') {
+      accessory.context.mqttTransport = this.transportLabel;
+    }
+  }
+
+  removeDevice(accessory) {
+    if (this.devices.get(accessory.context.serialNumber) === accessory) {
+      this.devices.delete(accessory.context.serialNumber);
+    }
+  }
+
+  connect(domain) {
+    this.domain = domain;
+
+    // One app id is used for the whole account, so only one session is opened with the broker
     const appId = createHash('md5')
-      .update(`API${randomUUID}`)
+      .update(`API${generateRandomString(32)}`)
       .digest('hex');
-    this.client = mqttConnect({
-      protocol: 'mqtts',
-      host: this.accessory.context.domain || 'eu-iot.meross.com',
-      port: 2001,
+    // Native mqtt uses port 2001, which some networks block, so websockets over port 443 can be used instead
+    const useWss = this.transport === 'wss';
+    const options = {
+      protocol: this.transport,
+      host: domain || 'eu-iot.meross.com',
+      port: useWss ? 443 : 2001,
+      path: useWss ? '/mqtt' : undefined,
       clientId: `app:${appId}`,
       username: this.userid,
       password: createHash('md5')
@@ -34,22 +59,47 @@ export default class {
       rejectUnauthorized: true,
       keepalive: 30,
       reconnectPeriod: 5000,
-    });
+    };
+
+    // Websockets can use a proxy agent, but the mqtt library has no proxy support for native mqtt
+    // so in this case tunnel the tls connection through the proxy ourselves
+    const proxyUrl = getProxyUrl(this.proxy, options.host, options.port);
+    if (proxyUrl) {
+      this.log.debug('%s [%s].', platformLang.mqttProxy, proxyUrl.replace(/\/\/[^@/]*@/, '//'));
+      if (useWss) {
+        options.wsOptions = { agent: getProxyAgent(proxyUrl) };
+      }
+    }
+    this.transportLabel = `${options.protocol}:${options.port}`;
+    const client = proxyUrl && !useWss
+      ? new MqttClient(getMqttStreamBuilder(proxyUrl), options)
+      : mqttConnect(options);
+    this.client = client;
 
     this.client.on('connect', () => {
       this.client.subscribe(`/app/${this.userid}/subscribe`, (err) => {
         if (err) {
-          this.accessory.logWarn(`mqtt subscribe error - ${err}`);
+          this.log.warn('%s %s.', platformLang.mqttSubErr, err);
         }
       });
 
       this.clientResponseTopic = `/app/${this.userid}-${appId}/subscribe`;
       this.client.subscribe(this.clientResponseTopic, (err) => {
         if (err) {
-          this.accessory.logWarn(`mqtt user-response subscribe error - ${err}`);
+          this.log.warn('%s %s.', platformLang.mqttSubErr, err);
         }
-        this.accessory.logDebug('mqtt subscribe complete');
+        this.log.debug('%s.', platformLang.mqttSubDone);
+      });
+
+      // Report the transport in use, which is also shown on the device page of the plugin settings
+      if (this.loggedTransport !== this.transportLabel) {
+        this.loggedTransport = this.transportLabel;
+        this.log('%s [%s].', platformLang.mqttConnected, this.transportLabel);
+      }
+      this.devices.forEach((accessory) => {
+        accessory.context.mqttTransport = this.transportLabel;
       });
+      this.failedAttempts = 0;
       this.status = 'online';
       while (this.queuedCommands.length > 0) {
         const resolveFn = this.queuedCommands.pop();
@@ -70,10 +120,10 @@ export default class {
       try {
         decMsg = JSON.parse(msgStr);
       } catch (e) {
-        this.accessory.logWarn(`mqtt message error - [${e}] [${msgStr}]]`);
+        this.log.warn('%s [%s] [%s].', platformLang.mqttMsgErr, e, msgStr);
         return;
       }
-      if (!decMsg.header?.from.includes(this.uuid)) {
+      if (!decMsg.header) {
         return;
       }
 
@@ -83,34 +133,84 @@ export default class {
       if (typeof resolveForThisMessage === 'function') {
         resolveForThisMessage({ data: decMsg });
         delete this.waitingMessageIds[decMsg.header.messageId];
-      } else if (decMsg.header.method === 'PUSH') {
-        // Otherwise, process it accordingly
-        if (this.accessory.control?.receiveUpdate && decMsg.payload) {
-          this.accessory.control.receiveUpdate(decMsg);
+        return;
+      }
+
+      // Otherwise, dispatch a PUSH to the accessory of the device it came from
+      // The from property is in the format /appliance/<uuid>/publish
+      if (decMsg.header.method === 'PUSH' && decMsg.payload) {
+        const uuid = decMsg.header.from?.split('/')[2];
+        const accessory = this.devices.get(uuid);
+        if (accessory) {
+          this.platform.receivePush(accessory, decMsg);
         }
       }
     });
     this.client.on('error', (error) => {
-      this.accessory.logWarn(`mqtt connection error${error ? ` [${error.toString()}]` : ''}`);
+      this.log.warn('%s%s.', platformLang.mqttConnErr, error ? ` [${error.toString()}]` : '');
+
+      // Codes 4 and 5 mean the broker has rejected the credentials, so the token may have expired
+      // Log in again via the http client, at most every five minutes to avoid hammering Meross
+      if (
+        [4, 5].includes(error?.code)
+        && this.platform.cloudClient
+        && Date.now() - (this.reauthTime || 0) > 300000
+      ) {
+        this.reauthTime = Date.now();
+        this.platform.cloudClient.reauthenticate().catch((err) => {
+          this.log.warn('%s %s.', platformLang.reauthFail, parseError(err));
+        });
+      }
     });
     this.client.on('close', (error) => {
-      this.accessory.logWarn(`mqtt connection closed${error ? ` [${error.toString()}]` : ''}`);
+      // Ignore the close event of a client that has been replaced after a new login
+      if (client !== this.client) {
+        return;
+      }
+      this.log.warn('%s%s.', platformLang.mqttClosed, error ? ` [${error.toString()}]` : '');
+
+      // In auto mode, switch to the other transport if this one keeps failing to connect
+      if (this.status !== 'online') {
+        this.failedAttempts += 1;
+        if (this.transportMode === 'auto' && this.failedAttempts >= 2) {
+          this.transport = this.transport === 'mqtts' ? 'wss' : 'mqtts';
+          this.failedAttempts = 0;
+          this.log.warn('%s [%s].', platformLang.mqttFallback, this.transport);
+          client.end(true);
+          this.status = 'offline';
+          this.connect(this.domain);
+          return;
+        }
+      }
       this.status = 'offline';
     });
     this.client.on('reconnect', () => {
-      this.accessory.logWarn('mqtt connection reconnecting');
+      this.log.warn('%s.', platformLang.mqttReconnect);
       this.status = 'offline';
     });
   }
 
+  updateCredentials(accountDetails) {
+    // Reconnect to the broker using the details from the new login
+    this.key = accountDetails.key;
+    this.userid = accountDetails.userid;
+    if (this.client) {
+      this.client.end(true);
+      this.status = 'offline';
+      this.connect(this.domain);
+    }
+  }
+
   disconnect() {
-    this.client.end(true);
+    if (this.client) {
+      this.client.end(true);
+    }
   }
 
   async sendUpdate(accessory, toSend) {
     // Timeout shorter for get updates than set updates
     const timeout = toSend.method === 'GET' ? 4000 : 9000;
-    // Helper to queue commands before the device is connected
+    // Helper to queue commands before the client is connected
     if (this.status !== 'online') {
       let connectResolve;
 
@@ -119,11 +219,11 @@ export default class {
         connectResolve = resolve;
       });
 
-      // connectPromise will get resolved when the device connects
+      // connectPromise will get resolved when the client connects
       this.queuedCommands.push(connectResolve);
-      // when the device is connected, the futureCommand will be executed
+      // when the client is connected, the futureCommand will be executed
       // that is exactly the same command issued now, but in the future
-      const futureCommand = () => this.sendUpdate(toSend);
+      const futureCommand = () => this.sendUpdate(accessory, toSend);
       // we return immediately an 'idle' promise, that when it gets resolved
       // it will then execute the futureCommand
       // IF the above takes too much time, the command will fail with a TimeoutError
@@ -162,11 +262,13 @@ export default class {
     accessory.logDebug(`${platformLang.sendMQTT}: ${JSON.stringify(data)}`);
 
     // Send the message
-    this.client.publish(`/appliance/${this.uuid}/subscribe`, JSON.stringify(data));
+    this.client.publish(`/appliance/${accessory.context.serialNumber}/subscribe`, JSON.stringify(data));
     this.waitingMessageIds[messageId] = commandResolve;
     // the command returns with a timeout
     return pTimeout(commandPromise, {
       milliseconds: timeout,
+    }).finally(() => {
+      delete this.waitingMessageIds[messageId];
     });
   }
 }
@@ -0,0 +1,86 @@
+import platformConsts from '../utils/constants.js';
+import { parseError } from '../utils/functions.js';
+import platformLang from '../utils/lang-en.js';
+
+export default class {
+  constructor(platform, accessory, interval, requestFn) {
+    // The configured interval is the fastest the device is polled
+    this.accessory = accessory;
+    this.failures = 0;
+    this.interval = interval * 1000;
+    this.lastActivity = 0;
+    this.nextInterval = this.interval;
+    this.platform = platform;
+    this.requestFn = requestFn;
+    this.serialNumber = accessory.context.serialNumber;
+
+    // Results of requests and pushes are reported to the poller of the device by the platform
+    platform.pollers.set(this.serialNumber, this);
+    this.schedule(this.interval);
+  }
+
+  getInterval() {
+    const { activeTime, idleFactor } = platformConsts.adaptivePolling;
+
+    // A relaxed or backed off poll waits no longer than the longest refresh rate that can be configured
+    const rateKey = ['broker', 'local'].includes(this.accessory.context.connection) ? 'refreshRate' : 'cloudRefreshRate';
+    const limit = platformConsts.maxValues[rateKey] * 1000;
+
+    // Back off exponentially whilst the device cannot be reached
+    if (this.failures > 0) {
+      return Math.min(this.interval * 2 ** this.failures, limit);
+    }
+
+    // Poll at the configured interval for a short time after the device was used, then relax
+    if (Date.now() - this.lastActivity < activeTime) {
+      return this.interval;
+    }
+    return Math.min(this.interval * idleFactor, limit);
+  }
+
+  schedule(delay = this.getInterval()) {
+    clearTimeout(this.timeout);
+    if (this.stopped) {
+      return;
+    }
+    if (delay !== this.nextInterval) {
+      this.accessory.logDebug(`${platformLang.pollInterval} [${Math.round(delay / 1000)}s]`);
+      this.nextInterval = delay;
+    }
+    this.nextPoll = Date.now() + delay;
+    this.timeout = setTimeout(async () => {
+      // The next poll is always scheduled, even if this one fails
+      try {
+        await this.requestFn();
+      } catch (err) {
+        this.accessory.logDebugWarn(`${platformLang.reqFailed} ${parseError(err)}`);
+      } finally {
+        this.schedule();
+      }
+    }, delay);
+  }
+
+  reportActivity() {
+    // A command or push means the device is in use, so bring forward a relaxed or backed off poll
+    this.lastActivity = Date.now();
+    if (this.nextPoll - Date.now() > this.interval) {
+      this.schedule(this.interval);
+    }
+  }
+
+  reportFailure() {
+    this.failures += 1;
+  }
+
+  reportSuccess() {
+    this.failures = 0;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timeout);
+    if (this.platform.pollers.get(this.serialNumber) === this) {
+      this.platform.pollers.delete(this.serialNumber);
+    }
+  }
+}
@@ -0,0 +1,87 @@
+import { request as httpRequest } from 'http';
+import { request as httpsRequest } from 'https';
+import { connect as tlsConnect } from 'tls';
+import duplexify from 'duplexify';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { getProxyForUrl } from 'proxy-from-env';
+import { SocksClient } from 'socks';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+
+// The proxy option applies to all cloud traffic, otherwise the HTTPS_PROXY/NO_PROXY env variables are used
+const getProxyUrl = (proxy, host, port = 443) => proxy || getProxyForUrl(`https://${host}:${port}`) || false;
+
+// Agent for axios to send https requests through a http(s) or socks proxy
+const getProxyAgent = (proxyUrl) => (
+  proxyUrl.startsWith('socks') ? new SocksProxyAgent(proxyUrl) : new HttpsProxyAgent(proxyUrl)
+);
+
+// Opens a tcp connection to the host via the proxy, resolving with the connected socket
+const openTunnel = async (proxyUrl, host, port) => {
+  const proxy = new URL(proxyUrl);
+  const username = decodeURIComponent(proxy.username);
+  const password = decodeURIComponent(proxy.password);
+
+  if (proxy.protocol.startsWith('socks')) {
+    const { socket } = await SocksClient.createConnection({
+      proxy: {
+        host: proxy.hostname,
+        port: Number(proxy.port) || 1080,
+        type: proxy.protocol.startsWith('socks4') ? 4 : 5,
+        userId: username || undefined,
+        password: password || undefined,
+      },
+      command: 'connect',
+      destination: { host, port },
+      timeout: 10000,
+    });
+    return socket;
+  }
+
+  // A http(s) proxy opens the tunnel in response to a CONNECT request
+  const isHttps = proxy.protocol === 'https:';
+  const headers = { Host: `${host}:${port}` };
+  if (username) {
+    headers['Proxy-Authorization'] = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  return new Promise((resolve, reject) => {
+    const req = (isHttps ? httpsRequest : httpRequest)({
+      host: proxy.hostname,
+      port: Number(proxy.port) || (isHttps ? 443 : 80),
+      method: 'CONNECT',
+      path: `${host}:${port}`,
+      headers,
+      timeout: 10000,
+    });
+    req.once('connect', (res, socket) => {
+      if (res.statusCode === 200) {
+        resolve(socket);
+      } else {
+        socket.destroy();
+        reject(new Error(`proxy replied with status ${res.statusCode}`));
+      }
+    });
+    req.once('timeout', () => req.destroy(new Error('proxy did not respond')));
+    req.once('error', reject);
+    req.end();
+  });
+};
+
+// Stream builder for the mqtt client, returning a stream straight away that is wired to tls once tunnelled
+const getMqttStreamBuilder = (proxyUrl) => (client) => {
+  const { host, port, rejectUnauthorized } = client.options;
+  const stream = duplexify();
+  openTunnel(proxyUrl, host, port)
+    .then((socket) => {
+      const tlsSocket = tlsConnect({ socket, servername: host, rejectUnauthorized });
+      stream.setReadable(tlsSocket);
+      stream.setWritable(tlsSocket);
+    })
+    .catch((err) => stream.destroy(err));
+  return stream;
+};
+
+export {
+  getMqttStreamBuilder,
+  getProxyAgent,
+  getProxyUrl,
+};
@@ -0,0 +1,59 @@
+import PQueue from 'p-queue'; // eslint-disable-line import/no-unresolved
+import platformConsts from '../utils/constants.js';
+
+// The last write to each device, shared by the queues of all accessories of the device
+const lastWrites = new Map();
+
+export default class extends PQueue {
+  constructor(platform, accessory) {
+    super({
+      concurrency: 1,
+      interval: 250,
+      intervalCap: 1,
+      timeout: 10000,
+      throwOnTimeout: true,
+    });
+    this.lastCommand = false;
+    this.platform = platform;
+    this.serialNumber = accessory.context.serialNumber;
+  }
+
+  addCommand(key, fn) {
+    // A command queued straight after a waiting command with the same key replaces its value
+    if (this.lastCommand?.key === key) {
+      this.lastCommand.fn = fn;
+      return this.lastCommand.promise;
+    }
+    const command = { fn, key };
+    command.promise = this.add(async () => {
+      // Once started, a newer command with the same key must be sent separately
+      if (this.lastCommand === command) {
+        this.lastCommand = false;
+      }
+
+      // A command from HomeKit means the device is in use, so it is polled at the configured rate
+      this.platform.pollers.get(this.serialNumber)?.reportActivity();
+      try {
+        return await command.fn();
+      } finally {
+        lastWrites.set(this.serialNumber, Date.now());
+      }
+    }, { priority: 1 });
+    this.lastCommand = command;
+    return command.promise;
+  }
+
+  addPoll(fn) {
+    // Polls wait behind user commands, and are skipped whilst the device may still report an old value
+    return this.add(async () => {
+      if (this.isPollSuppressed()) {
+        return undefined;
+      }
+      return fn();
+    }, { priority: 0 });
+  }
+
+  isPollSuppressed() {
+    return Date.now() - (lastWrites.get(this.serialNumber) || 0) < platformConsts.pollSuppressTime;
+  }
+}
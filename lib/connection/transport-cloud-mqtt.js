@@ -0,0 +1,27 @@
+import { TimeoutError } from 'p-timeout';
+import { TransportTimeoutError, TransportUnavailableError } from '../utils/errors.js';
+import platformLang from '../utils/lang-en.js';
+import baseTransport from './transport.js';
+
+export default class extends baseTransport {
+  constructor(platform, accessory) {
+    super(platform, accessory, 'cloud-mqtt');
+  }
+
+  async send(toSend) {
+    // The shared mqtt client only exists once the plugin has logged in to the cloud
+    const { mqttClient } = this.platform;
+    if (!mqttClient) {
+      throw new TransportUnavailableError(platformLang.cloudNotConnected, { transport: this.name });
+    }
+    try {
+      const res = await mqttClient.sendUpdate(this.accessory, toSend);
+      return res.data;
+    } catch (err) {
+      if (err instanceof TimeoutError) {
+        throw new TransportTimeoutError(platformLang.timeout, { transport: this.name });
+      }
+      throw err;
+    }
+  }
+}
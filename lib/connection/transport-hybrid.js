@@ -0,0 +1,144 @@
+import platformConsts from '../utils/constants.js';
+import {
+  TransportError,
+  TransportNetworkError,
+  TransportResponseError,
+  TransportTimeoutError,
+  TransportUnavailableError,
+} from '../utils/errors.js';
+import { parseError } from '../utils/functions.js';
+import platformLang from '../utils/lang-en.js';
+import cloudMqttTransport from './transport-cloud-mqtt.js';
+import localHttpTransport from './transport-local-http.js';
+
+// Sends requests to the device on the local network first, falling back to the cloud if that fails
+// A circuit breaker for each route skips one that keeps failing, until a probe shows it works again
+export default class {
+  constructor(platform, accessory) {
+    this.accessory = accessory;
+    this.name = 'hybrid';
+    this.platform = platform;
+    this.route = 'local';
+    this.routes = {
+      local: { isOpen: false, results: [], transport: new localHttpTransport(platform, accessory) },
+      cloud: { isOpen: false, results: [], transport: new cloudMqttTransport(platform, accessory) },
+    };
+  }
+
+  async request(namespace, method, payload) {
+    // Use the local network unless its circuit is open and the cloud is healthy
+    const order = this.routes.local.isOpen && !this.routes.cloud.isOpen
+      ? ['cloud', 'local']
+      : ['local', 'cloud'];
+    this.setRoute(order[0]);
+    this.probeRoute(order[1]);
+    try {
+      return await this.send(order[0], namespace, method, payload);
+    } catch (err) {
+      const eText = err instanceof TransportError || err instanceof TransportTimeoutError
+        ? err.message
+        : parseError(err);
+      this.accessory.logDebug(`${order[0] === 'local' ? platformLang.revertToCloud : platformLang.revertToLocal} ${eText}`);
+      return this.send(order[1], namespace, method, payload);
+    }
+  }
+
+  async send(name, namespace, method, payload) {
+    const route = this.routes[name];
+    const start = Date.now();
+    try {
+      const res = await route.transport.request(namespace, method, payload);
+      this.addResult(name, true, Date.now() - start);
+      return res;
+    } catch (err) {
+      // An error reply, such as to a namespace the device does not support, still shows the route works
+      if (err instanceof TransportResponseError) {
+        this.addResult(name, true, Date.now() - start);
+      } else if (
+        err instanceof TransportNetworkError
+        || err instanceof TransportTimeoutError
+        || err instanceof TransportUnavailableError
+      ) {
+        this.addResult(name, false, Date.now() - start);
+      }
+      throw err;
+    }
+  }
+
+  addResult(name, isSuccess, latency) {
+    const { failureThreshold, minSuccessRate, sampleSize } = platformConsts.hybridRouting;
+    const route = this.routes[name];
+    route.results = [...route.results, { isSuccess, latency }].slice(-sampleSize);
+
+    // Open the circuit after a run of failures, or when too few of the recent requests succeed
+    const recent = route.results.slice(-failureThreshold);
+    const isFailing = (recent.length === failureThreshold && recent.every((el) => !el.isSuccess))
+      || (route.results.length === sampleSize && this.getHealth(name).successRate < minSuccessRate * 100);
+    if (isFailing && !route.isOpen) {
+      route.isOpen = true;
+      route.nextProbe = Date.now() + platformConsts.hybridRouting.probeInterval;
+      this.accessory.logDebug(`${platformLang.routeOpen} [${name}] ${this.describeHealth(name)}`);
+    } else if (isSuccess && route.isOpen) {
+      route.isOpen = false;
+      route.results = [{ isSuccess, latency }];
+      this.accessory.logDebug(`${platformLang.routeRestored} [${name}] ${this.describeHealth(name)}`);
+    }
+    this.updateContext();
+  }
+
+  probeRoute(name) {
+    // A route with an open circuit is tried in the background now and then to see if it has recovered
+    const route = this.routes[name];
+    if (!route.isOpen || route.isProbing || Date.now() < route.nextProbe) {
+      return;
+    }
+    route.isProbing = true;
+    route.nextProbe = Date.now() + platformConsts.hybridRouting.probeInterval;
+    this.accessory.logDebug(`${platformLang.routeProbe} [${name}]`);
+    this.send(name, 'Appliance.System.All', 'GET', {})
+      .catch(() => {})
+      .finally(() => {
+        route.isProbing = false;
+      });
+  }
+
+  setRoute(name) {
+    if (this.route !== name) {
+      this.route = name;
+      this.accessory.logDebug(`${platformLang.routeChosen} [${name}] ${this.describeHealth('local')} ${this.describeHealth('cloud')}`);
+      this.updateContext();
+    }
+  }
+
+  getHealth(name) {
+    const { isOpen, results } = this.routes[name];
+    const successes = results.filter((el) => el.isSuccess);
+    return {
+      isOpen,
+      latency: successes.length > 0
+        ? Math.round(successes.reduce((sum, el) => sum + el.latency, 0) / successes.length)
+        : null,
+      successRate: results.length > 0 ? Math.round((successes.length / results.length) * 100) : null,
+    };
+  }
+
+  describeHealth(name) {
+    const { latency, successRate } = this.getHealth(name);
+    return `[${name}: ${successRate ?? '-'}% ${platformLang.routeSuccess}, ${latency ?? '-'}ms]`;
+  }
+
+  updateContext() {
+    // The route and health are kept in the context of every accessory of the device for the plugin ui
+    const routeHealth = {
+      cloud: this.getHealth('cloud'),
+      local: this.getHealth('local'),
+      route: this.route,
+    };
+    const { serialNumber } = this.accessory.context;
+    [this.accessory, ...this.platform.devicesInHB.values()]
+      .filter((el) => el.context.serialNumber === serialNumber)
+      .forEach((el) => {
+        el.context.routeHealth = routeHealth;
+      });
+  }
+}
@@ -0,0 +1,205 @@
+import { createHash } from 'crypto';
+import axios from 'axios';
+import platformConsts from '../utils/constants.js';
+import {
+  createKeyPair,
+  decrypt,
+  deriveKey,
+  encrypt,
+} from '../utils/encryption.js';
+import {
+  TransportError,
+  TransportNetworkError,
+  TransportResponseError,
+  TransportTimeoutError,
+  TransportUnavailableError,
+} from '../utils/errors.js';
+import { generateRandomString } from '../utils/functions.js';
+import platformLang from '../utils/lang-en.js';
+import baseTransport from './transport.js';
+
+// All channels of a device share one encryption key, so only negotiate it once at a time
+const keyRequests = new Map();
+
+export default class extends baseTransport {
+  constructor(platform, accessory) {
+    super(platform, accessory, 'local-http');
+  }
+
+  async send(toSend) {
+    const { context } = this.accessory;
+
+    // Check we have the user key
+    if (!context.userkey) {
+      throw new TransportUnavailableError(platformLang.noUserKey, { transport: this.name });
+    }
+
+    // Certain models aren't supported for local control
+    if (platformConsts.noLocalControl.includes(context.model)) {
+      throw new TransportUnavailableError(platformLang.notSuppLocal, { transport: this.name });
+    }
+
+    // Obtain the IP address, either manually configured or from Meross polling data
+    const ipAddress = context.deviceUrl || context.ipAddress;
+    if (!ipAddress) {
+      throw new TransportUnavailableError(platformLang.noIP, { transport: this.name });
+    }
+
+    // Get updates wait longer, as do set updates for local devices as there is no cloud to fall back to
+    const timeout = toSend.method === 'GET' || context.connection === 'local' ? 9000 : 4000;
+    try {
+      const data = await this.post(ipAddress, toSend, timeout);
+
+      // Another device replying at the ip address means the device has been given a new one, so search for it
+      const from = data?.header?.from;
+      if (from && from !== `/appliance/${context.serialNumber}/publish`) {
+        this.platform.discovery.rediscover(this.accessory);
+        throw new TransportNetworkError(platformLang.wrongDevice, { data, transport: this.name });
+      }
+      return data;
+    } catch (err) {
+      if (err instanceof TransportError || err instanceof TransportTimeoutError) {
+        throw err;
+      }
+      const details = { code: err.code, status: err.response?.status, transport: this.name };
+
+      // The device may have been given a new ip address, so search the local network for it
+      if (!err.response) {
+        this.platform.discovery.rediscover(this.accessory);
+      }
+      if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+        throw new TransportTimeoutError(platformLang.timeout, details);
+      }
+      throw new TransportNetworkError(`${platformLang.deviceUnreachable} [${err.code || details.status}]`, details);
+    }
+  }
+
+  async post(ipAddress, toSend, timeout) {
+    const { context } = this.accessory;
+
+    // Generate the timestamp, messageId and sign from the userkey
+    const timestamp = Math.floor(Date.now() / 1000);
+    const messageId = generateRandomString(32);
+    const sign = createHash('md5')
+      .update(messageId + context.userkey + timestamp)
+      .digest('hex');
+
+    // Generate the payload to send
+    const data = {
+      header: {
+        from: `http://${ipAddress}/config`,
+        messageId,
+        method: toSend.method,
+        namespace: toSend.namespace,
+        payloadVersion: 1,
+        sign,
+        timestamp,
+        triggerSrc: 'iOSLocal',
+        uuid: context.serialNumber,
+      },
+      payload: toSend.payload || {},
+    };
+
+    // Log the update if user enabled
+    this.accessory.logDebug(`${platformLang.sendUpdate}: ${JSON.stringify(data)}`);
+
+    // Devices with newer firmware only accept requests encrypted with a key negotiated with the device
+    let key = false;
+    if (context.encryption && !toSend.plain) {
+      try {
+        key = await this.getEncryptionKey(ipAddress);
+      } catch (err) {
+        // The key exchange failed, so check again if the device needs encryption, as after a firmware change
+        if (!(err instanceof TransportResponseError) || toSend.rechecked) {
+          throw err;
+        }
+        return this.recheckEncryption(ipAddress, toSend, timeout);
+      }
+    }
+
+    // Send the request to the device, directly on the local network even if a proxy is in use
+    const res = await axios({
+      url: `http://${ipAddress}/config`,
+      method: 'post',
+      proxy: false,
+      headers: { 'content-type': key ? 'text/plain' : 'application/json' },
+      data: key ? encrypt(key, JSON.stringify(data)) : data,
+      responseType: key ? 'text' : 'json',
+      timeout,
+    });
+
+    if (key) {
+      try {
+        return JSON.parse(decrypt(key, res.data));
+      } catch (err) {
+        // The device no longer accepts the stored key, so negotiate a new one and try again once
+        this.setEncryption(true, false);
+        if (!toSend.retried) {
+          return this.post(ipAddress, { ...toSend, retried: true }, timeout);
+        }
+
+        // A new key did not work either, so check again if the device needs encryption
+        if (!toSend.rechecked) {
+          return this.recheckEncryption(ipAddress, toSend, timeout);
+        }
+        throw new TransportResponseError(platformLang.encryptFail, { transport: this.name });
+      }
+    }
+    if (!toSend.plain && (!res.data || typeof res.data !== 'object')) {
+      // A plain json request has been rejected, so the device needs encryption
+      this.accessory.logDebug(platformLang.encryptDetected);
+      this.setEncryption(true, false);
+      return this.post(ipAddress, toSend, timeout);
+    }
+    return res.data;
+  }
+
+  async getEncryptionKey(ipAddress) {
+    const { context } = this.accessory;
+    if (context.encryptionKey) {
+      return Buffer.from(context.encryptionKey, 'base64');
+    }
+    if (!keyRequests.has(context.serialNumber)) {
+      keyRequests.set(context.serialNumber, (async () => {
+        try {
+          // The key exchange itself is sent unencrypted
+          const { ecdh, publicKey } = createKeyPair();
+          const res = await this.post(ipAddress, {
+            method: 'SET',
+            namespace: 'Appliance.Encrypt.ECDHE',
+            payload: { ecdhe: { step: 1, pubkey: publicKey } },
+            plain: true,
+          }, 9000);
+          const devicePublicKey = res?.payload?.ecdhe?.pubkey;
+          if (!devicePublicKey) {
+            throw new TransportResponseError(platformLang.encryptKeyFail, { data: res, transport: this.name });
+          }
+          const key = deriveKey(ecdh, devicePublicKey);
+          this.setEncryption(true, key.toString('base64'));
+          return key;
+        } finally {
+          keyRequests.delete(context.serialNumber);
+        }
+      })());
+    }
+    return keyRequests.get(context.serialNumber);
+  }
+
+  recheckEncryption(ipAddress, toSend, timeout) {
+    // A plain request is sent, which detects encryption again if the device rejects it
+    this.accessory.logDebug(platformLang.encryptRecheck);
+    this.setEncryption(false, false);
+    return this.post(ipAddress, { ...toSend, rechecked: true, retried: true }, timeout);
+  }
+
+  setEncryption(encryption, encryptionKey) {
+    // The key is cached in the context of every accessory of the device, so it survives a restart
+    const { serialNumber } = this.accessory.context;
+    [this.accessory, ...this.platform.devicesInHB.values()]
+      .filter((el) => el.context.serialNumber === serialNumber)
+      .forEach((el) => {
+        el.context.encryption = encryption;
+        el.context.encryptionKey = encryptionKey;
+      });
+  }
+}
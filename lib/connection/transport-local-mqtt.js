@@ -0,0 +1,27 @@
+import { TimeoutError } from 'p-timeout';
+import { TransportTimeoutError, TransportUnavailableError } from '../utils/errors.js';
+import platformLang from '../utils/lang-en.js';
+import baseTransport from './transport.js';
+
+export default class extends baseTransport {
+  constructor(platform, accessory) {
+    super(platform, accessory, 'local-mqtt');
+  }
+
+  async send(toSend) {
+    // The broker client only exists if a broker url is configured or the embedded broker is running
+    const { brokerClient } = this.platform;
+    if (!brokerClient) {
+      throw new TransportUnavailableError(platformLang.noBroker, { transport: this.name });
+    }
+    try {
+      const res = await brokerClient.sendUpdate(this.accessory, toSend);
+      return res.data;
+    } catch (err) {
+      if (err instanceof TimeoutError) {
+        throw new TransportTimeoutError(platformLang.timeout, { transport: this.name });
+      }
+      throw err;
+    }
+  }
+}
@@ -0,0 +1,45 @@
+import { TransportResponseError } from '../utils/errors.js';
+import platformLang from '../utils/lang-en.js';
+
+// Common behaviour of the transports, each of which implements send(toSend) to return the device reply
+// A fake transport for testing, as in test/transport-fake.js, only needs a name and a send() function
+export default class {
+  constructor(platform, accessory, name) {
+    this.accessory = accessory;
+    this.name = name;
+    this.platform = platform;
+  }
+
+  async request(namespace, method = 'GET', payload = {}) {
+    const data = await this.send({ namespace, method, payload });
+    return this.validate(data, method);
+  }
+
+  validate(data, method) {
+    const details = { data, transport: this.name };
+    if (!data || typeof data !== 'object' || !data.header) {
+      throw new TransportResponseError(platformLang.invalidResponse, details);
+    }
+    if (data.header.method === 'ERROR') {
+      throw new TransportResponseError(`${platformLang.reqFail} - ${JSON.stringify(data.payload?.error)}`, details);
+    }
+    if (method === 'GET') {
+      if (!data.payload) {
+        throw new TransportResponseError(platformLang.invalidResponse, details);
+      }
+
+      // Check the reply came from the device the request was for
+      if (data.header.from && data.header.from !== `/appliance/${this.accessory.context.serialNumber}/publish`) {
+        throw new TransportResponseError(platformLang.wrongDevice, details);
+      }
+    }
+
+    // The full message is kept as data for the device classes which read res.data.payload
+    return {
+      data,
+      header: data.header,
+      payload: data.payload,
+      transport: this.name,
+    };
+  }
+}
@@ -1,13 +1,7 @@
-import PQueue from 'p-queue'; // eslint-disable-line import/no-unresolved
 import { TimeoutError } from 'p-timeout';
-import mqttClient from '../connection/mqtt.js';
-import platformConsts from '../utils/constants.js';
-import {
-  generateRandomString,
-  hasProperty,
-  parseError,
-  sleep,
-} from '../utils/functions.js';
+import devicePoller from '../connection/poller.js';
+import deviceQueue from '../connection/queue.js';
+import { hasProperty, parseError } from '../utils/functions.js';
 import platformLang from '../utils/lang-en.js';
 
 export default class {
@@ -23,13 +17,15 @@ export default class {
     this.accessory = accessory;
     this.accessoryLight = accessoryLight;
     this.name = accessory.displayName;
-    const cloudRefreshRate = hasProperty(platform.config, 'cloudRefreshRate')
-      ? platform.config.cloudRefreshRate
-      : platformConsts.defaultValues.cloudRefreshRate;
-    const localRefreshRate = hasProperty(platform.config, 'refreshRate')
-      ? platform.config.refreshRate
-      : platformConsts.defaultValues.refreshRate;
-    this.pollInterval = accessory.context.connection === 'local'
+    // Refresh rates set for the device take priority over the global options
+    const { options } = accessory.context;
+    const cloudRefreshRate = hasProperty(options, 'cloudRefreshRate')
+      ? options.cloudRefreshRate
+      : platform.config.cloudRefreshRate;
+    const localRefreshRate = hasProperty(options, 'refreshRate')
+      ? options.refreshRate
+      : platform.config.refreshRate;
+    this.pollInterval = ['broker', 'local'].includes(accessory.context.connection)
       ? localRefreshRate
       : cloudRefreshRate;
 
@@ -167,29 +163,17 @@ export default class {
 
     // Create the queue used for sending device requests
     this.updateInProgress = false;
-    this.queue = new PQueue({
-      concurrency: 1,
-      interval: 250,
-      intervalCap: 1,
-      timeout: 10000,
-      throwOnTimeout: true,
-    });
+    this.queue = new deviceQueue(platform, accessory);
     this.queue.on('idle', () => {
       this.updateInProgress = false;
     });
 
-    // Set up the mqtt client for cloud devices to send and receive device updates
-    if (accessory.context.connection !== 'local') {
-      this.accessory.mqtt = new mqttClient(platform, this.accessory);
-      this.accessory.mqtt.connect();
-    }
+    // Register with the cloud mqtt client or local broker to send and receive device updates
+    platform.registerMqttDevice(this.accessory);
 
-    // Always request a device update on startup, then start the interval for polling
+    // Always request a device update on startup, then start polling at an interval that adapts to the device
     setTimeout(() => this.requestUpdate(true), 2000);
-    this.accessory.refreshInterval = setInterval(
-      () => this.requestUpdate(),
-      this.pollInterval * 1000,
-    );
+    this.accessory.poller = new devicePoller(platform, this.accessory, this.pollInterval, () => this.requestUpdate());
 
     // Output the customised options to the log
     const opts = JSON.stringify({
@@ -201,7 +185,7 @@ export default class {
   async internalActiveUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('active', async () => {
         // Don't continue if the state is the same as before
         if (value === this.cacheState) {
           return;
@@ -246,7 +230,7 @@ export default class {
   async internalChannelUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('channel', async () => {
         // Don't continue if the state is the same as before
         if (value === this.cacheChannel) {
           return;
@@ -287,15 +271,7 @@ export default class {
   async internalVolumeUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
-        // Avoid multiple changes in short space of time
-        const updateKey = generateRandomString(5);
-        this.updateKey = updateKey;
-        await sleep(300);
-        if (updateKey !== this.updateKey) {
-          return;
-        }
-
+      await this.queue.addCommand('volume', async () => {
         // Calculate the value Meross needs
         const volumeMR = this.volumeHK2MR(value);
 
@@ -340,7 +316,7 @@ export default class {
   async internalSceneUpdate(value, scene, charToUpdate) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('scene', async () => {
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
@@ -390,7 +366,7 @@ export default class {
       }
 
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addPoll(async () => {
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
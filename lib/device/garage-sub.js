@@ -1,7 +1,12 @@
-import PQueue from 'p-queue'; // eslint-disable-line import/no-unresolved
 import { TimeoutError } from 'p-timeout';
+import deviceQueue from '../connection/queue.js';
 import platformConsts from '../utils/constants.js';
-import { generateRandomString, hasProperty, parseError } from '../utils/functions.js';
+import {
+  generateRandomString,
+  hasGarageState,
+  hasProperty,
+  parseError,
+} from '../utils/functions.js';
 import platformLang from '../utils/lang-en.js';
 
 export default class {
@@ -63,13 +68,7 @@ export default class {
 
     // Create the queue used for sending device requests
     this.updateInProgress = false;
-    this.queue = new PQueue({
-      concurrency: 1,
-      interval: 250,
-      intervalCap: 1,
-      timeout: 10000,
-      throwOnTimeout: true,
-    });
+    this.queue = new deviceQueue(platform, priAcc);
     this.queue.on('idle', () => {
       this.updateInProgress = false;
     });
@@ -86,7 +85,7 @@ export default class {
   async internalTargetUpdate(value) {
     // Add the request to the queue so updates are sent apart
     try {
-      await this.queue.add(async () => {
+      await this.queue.addCommand('target', async () => {
         let action;
         let newTarget = value;
         let newCurrent;
@@ -180,6 +179,7 @@ export default class {
           await this.platform.sendUpdate(this.priAcc, {
             namespace,
             payload,
+            confirm: { isConfirmed: (data) => hasGarageState(data, payload) },
           });
         }
 
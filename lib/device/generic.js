@@ -0,0 +1,373 @@
+import { TimeoutError } from 'p-timeout';
+import devicePoller from '../connection/poller.js';
+import deviceQueue from '../connection/queue.js';
+import { hasProperty, hasToggleState, parseError } from '../utils/functions.js';
+import platformLang from '../utils/lang-en.js';
+
+// Basic control for models the plugin does not know, set up from the channels in the status of the device
+export default class {
+  constructor(platform, accessory) {
+    // Set up variables from the platform
+    this.eveChar = platform.eveChar;
+    this.hapChar = platform.api.hap.Characteristic;
+    this.hapErr = platform.api.hap.HapStatusError;
+    this.hapServ = platform.api.hap.Service;
+    this.platform = platform;
+
+    // Set up variables from the accessory
+    this.accessory = accessory;
+    this.channels = new Map();
+    this.name = accessory.displayName;
+    // Refresh rates set for the device take priority over the global options
+    const { options } = accessory.context;
+    const cloudRefreshRate = hasProperty(options, 'cloudRefreshRate')
+      ? options.cloudRefreshRate
+      : platform.config.cloudRefreshRate;
+    const localRefreshRate = hasProperty(options, 'refreshRate')
+      ? options.refreshRate
+      : platform.config.refreshRate;
+    this.pollInterval = ['broker', 'local'].includes(accessory.context.connection)
+      ? localRefreshRate
+      : cloudRefreshRate;
+
+    // Power readings are tried on the first poll unless the abilities of the device show there are none
+    const { abilities } = accessory.context;
+    this.mayHavePower = !abilities || hasProperty(abilities, 'Appliance.Control.Electricity');
+
+    // The channels found on an earlier run are set up again straight away
+    this.accessory.services
+      .filter((service) => service.subtype?.startsWith('channel'))
+      .forEach((service) => {
+        this.setupChannel(
+          parseInt(service.subtype.replace('channel', ''), 10),
+          service.UUID === this.hapServ.Lightbulb.UUID,
+        );
+      });
+
+    // Create the queue used for sending device requests
+    this.updateInProgress = false;
+    this.queue = new deviceQueue(platform, accessory);
+    this.queue.on('idle', () => {
+      this.updateInProgress = false;
+    });
+
+    // Register with the cloud mqtt client or local broker to send and receive device updates
+    platform.registerMqttDevice(this.accessory);
+
+    // Always request a device update on startup, then start polling at an interval that adapts to the device
+    setTimeout(() => this.requestUpdate(true), 2000);
+    this.accessory.poller = new devicePoller(platform, this.accessory, this.pollInterval, () => this.requestUpdate());
+
+    // Output the customised options to the log
+    const opts = JSON.stringify({
+      connection: this.accessory.context.connection,
+      showAs: 'generic',
+    });
+    platform.log('[%s] %s %s.', this.name, platformLang.devInitOpts, opts);
+  }
+
+  setupChannel(channel, isLight) {
+    // Each channel is a switch, or a lightbulb if the device reports a light on the channel
+    const subtype = `channel${channel}`;
+    const [hapServ, oldServ] = isLight
+      ? [this.hapServ.Lightbulb, this.hapServ.Switch]
+      : [this.hapServ.Switch, this.hapServ.Lightbulb];
+    if (this.accessory.getServiceById(oldServ, subtype)) {
+      this.accessory.removeService(this.accessory.getServiceById(oldServ, subtype));
+    }
+    const service = this.accessory.getServiceById(hapServ, subtype)
+      || this.accessory.addService(hapServ, channel === 0 ? this.name : `${this.name} SW${channel}`, subtype);
+
+    // Add the set handlers to the on/off and brightness characteristics
+    service
+      .getCharacteristic(this.hapChar.On)
+      .onSet(async (value) => this.internalStateUpdate(channel, value));
+    if (isLight) {
+      service
+        .getCharacteristic(this.hapChar.Brightness)
+        .onSet(async (value) => this.internalBrightnessUpdate(channel, value));
+    }
+    this.channels.set(channel, {
+      cacheBright: isLight ? service.getCharacteristic(this.hapChar.Brightness).value : undefined,
+      cacheState: service.getCharacteristic(this.hapChar.On).value,
+      isLight,
+      service,
+    });
+  }
+
+  setupPowerReadings() {
+    // The readings are shown with Eve characteristics on the first channel
+    const { service } = this.channels.get(Math.min(...this.channels.keys()));
+    [this.eveChar.CurrentConsumption, this.eveChar.Voltage].forEach((char) => {
+      if (!service.testCharacteristic(char)) {
+        service.addCharacteristic(char);
+      }
+    });
+    this.powerService = service;
+  }
+
+  async internalStateUpdate(channel, value) {
+    const entry = this.channels.get(channel);
+    try {
+      // Add the request to the queue so updates are sent apart
+      await this.queue.addCommand(`state${channel}`, async () => {
+        // Don't continue if the state is the same as before
+        if (value === entry.cacheState) {
+          return;
+        }
+
+        // This flag stops the plugin from requesting updates while pending on others
+        this.updateInProgress = true;
+
+        // Generate the payload and namespace
+        const namespace = 'Appliance.Control.ToggleX';
+        const payload = {
+          togglex: {
+            onoff: value ? 1 : 0,
+            channel,
+          },
+        };
+
+        // Use the platform function to send the update to the device
+        await this.platform.sendUpdate(this.accessory, {
+          namespace,
+          payload,
+          confirm: { isConfirmed: (data) => hasToggleState(data, payload) },
+        });
+
+        // Update the cache and log the update has been successful
+        entry.cacheState = value;
+        this.accessory.log(`[SW${channel}] ${platformLang.curState} [${value ? 'on' : 'off'}]`);
+      });
+    } catch (err) {
+      // Catch any errors whilst updating the device
+      const eText = err instanceof TimeoutError ? platformLang.timeout : parseError(err);
+      this.accessory.logWarn(`${platformLang.sendFailed} ${eText}`);
+      setTimeout(() => {
+        entry.service.updateCharacteristic(this.hapChar.On, entry.cacheState);
+      }, 2000);
+      throw new this.hapErr(-70402);
+    }
+  }
+
+  async internalBrightnessUpdate(channel, value) {
+    const entry = this.channels.get(channel);
+    try {
+      // Add the request to the queue so updates are sent apart
+      await this.queue.addCommand(`brightness${channel}`, async () => {
+        // Don't continue if the state is the same as before
+        if (value === entry.cacheBright) {
+          return;
+        }
+
+        // This flag stops the plugin from requesting updates while pending on others
+        this.updateInProgress = true;
+
+        // Use the platform function to send the update to the device, a capacity of 4 sets the brightness
+        await this.platform.sendUpdate(this.accessory, {
+          namespace: 'Appliance.Control.Light',
+          payload: {
+            light: {
+              capacity: 4,
+              channel,
+              luminance: value,
+            },
+          },
+        });
+
+        // Update the cache and log the update has been successful
+        entry.cacheBright = value;
+        this.accessory.log(`[SW${channel}] ${platformLang.curBright} [${value}%]`);
+      });
+    } catch (err) {
+      // Catch any errors whilst updating the device
+      const eText = err instanceof TimeoutError ? platformLang.timeout : parseError(err);
+      this.accessory.logWarn(`${platformLang.sendFailed} ${eText}`);
+      setTimeout(() => {
+        entry.service.updateCharacteristic(this.hapChar.Brightness, entry.cacheBright);
+      }, 2000);
+      throw new this.hapErr(-70402);
+    }
+  }
+
+  async requestUpdate(firstRun = false) {
+    try {
+      // Don't continue if an update is currently being sent to the device
+      if (this.updateInProgress) {
+        return;
+      }
+
+      // Add the request to the queue so updates are sent apart
+      await this.queue.addPoll(async () => {
+        // This flag stops the plugin from requesting updates while pending on others
+        this.updateInProgress = true;
+
+        // Include a power reading in the same request if the device may have them
+        const requests = [{ namespace: 'Appliance.System.All', payload: {} }];
+        if (this.mayHavePower) {
+          requests.push({ namespace: 'Appliance.Control.Electricity', payload: {} });
+        }
+        const [res, resPower] = await this.platform.sendMultiple(this.accessory, requests);
+
+        // Log the received data
+        this.accessory.logDebug(`${platformLang.incPoll}: ${JSON.stringify(res.data)}`);
+
+        // Check the response is in a useful format
+        const data = res.data.payload;
+        if (data.all) {
+          if (data.all.digest) {
+            this.applyDigest(data.all.digest);
+          }
+
+          // A flag to check if we need to update the accessory context
+          let needsUpdate = false;
+
+          // Get the mac address and hardware version of the device
+          if (data.all.system) {
+            // Mac address and hardware don't change regularly so only get on first poll
+            if (firstRun && data.all.system.hardware) {
+              this.accessory.context.macAddress = data.all.system.hardware.macAddress.toUpperCase();
+              this.accessory.context.hardware = data.all.system.hardware.version;
+            }
+
+            // Get the ip address and firmware of the device
+            if (data.all.system.firmware) {
+              // Check for an IP change each and every time the device is polled
+              if (this.accessory.context.ipAddress !== data.all.system.firmware.innerIp) {
+                this.accessory.context.ipAddress = data.all.system.firmware.innerIp;
+                needsUpdate = true;
+              }
+
+              // Firmware doesn't change regularly so only get on first poll
+              if (firstRun) {
+                this.accessory.context.firmware = data.all.system.firmware.version;
+              }
+            }
+          }
+
+          // Get the cloud online status of the device
+          if (data.all.system?.online) {
+            const isOnline = data.all.system.online.status === 1;
+            if (this.accessory.context.isOnline !== isOnline) {
+              this.accessory.context.isOnline = isOnline;
+              needsUpdate = true;
+            }
+          }
+
+          // Update the accessory cache if anything has changed
+          if (needsUpdate || firstRun) {
+            this.platform.updateAccessory(this.accessory);
+          }
+        }
+
+        // Power readings are only requested again if the device replied with one
+        if (this.mayHavePower && this.channels.size > 0) {
+          if (resPower?.payload?.electricity) {
+            if (!this.powerService) {
+              this.setupPowerReadings();
+            }
+            this.applyPower(resPower.payload.electricity);
+          } else if (!this.powerService) {
+            this.mayHavePower = false;
+          }
+        }
+      });
+    } catch (err) {
+      const eText = err instanceof TimeoutError ? platformLang.timeout : parseError(err);
+      this.accessory.logDebugWarn(`${platformLang.reqFailed}: ${eText}`);
+
+      // Set the homebridge-ui status of the device to offline if local and error is timeout
+      if (
+        (this.accessory.context.isOnline || firstRun)
+        && ['EHOSTUNREACH', 'timed out'].some((el) => eText.includes(el))
+      ) {
+        this.accessory.context.isOnline = false;
+        this.platform.updateAccessory(this.accessory);
+      }
+    }
+  }
+
+  receiveUpdate(params) {
+    try {
+      // Log the received data
+      this.accessory.logDebug(`${platformLang.incMQTT}: ${JSON.stringify(params)}`);
+      if (params.payload) {
+        [].concat(params.payload.togglex || []).forEach((el) => this.applyState(el));
+        [].concat(params.payload.light || []).forEach((el) => this.applyBrightness(el));
+        if (params.payload.electricity && this.powerService) {
+          this.applyPower(params.payload.electricity);
+        }
+      }
+    } catch (err) {
+      this.accessory.logWarn(`${platformLang.refFailed} ${parseError(err)}`);
+    }
+  }
+
+  applyDigest(digest) {
+    // Channels not seen before, or which have gained or lost a light, are set up as they are reported
+    const lights = [].concat(digest.light || []);
+    let hasChanged = false;
+    [].concat(digest.togglex || []).forEach((el) => {
+      const channel = el.channel || 0;
+      const isLight = lights.some((light) => (light.channel || 0) === channel);
+      if (this.channels.get(channel)?.isLight !== isLight) {
+        this.setupChannel(channel, isLight);
+        hasChanged = true;
+      }
+      this.applyState(el);
+    });
+    lights.forEach((el) => this.applyBrightness(el));
+    if (hasChanged) {
+      this.platform.api.updatePlatformAccessories([this.accessory]);
+    }
+  }
+
+  applyState(data) {
+    const entry = this.channels.get(data.channel || 0);
+    if (!entry || !hasProperty(data, 'onoff')) {
+      return;
+    }
+
+    // Check against the cache and update HomeKit and the cache if needed
+    const newState = data.onoff === 1;
+    if (entry.cacheState !== newState) {
+      entry.service.updateCharacteristic(this.hapChar.On, newState);
+      entry.cacheState = newState;
+      this.accessory.log(`[SW${data.channel || 0}] ${platformLang.curState} [${newState ? 'on' : 'off'}]`);
+    }
+  }
+
+  applyBrightness(data) {
+    const entry = this.channels.get(data.channel || 0);
+    if (!entry?.isLight || !hasProperty(data, 'luminance')) {
+      return;
+    }
+
+    // Check against the cache and update HomeKit and the cache if needed
+    if (entry.cacheBright !== data.luminance) {
+      entry.service.updateCharacteristic(this.hapChar.Brightness, data.luminance);
+      entry.cacheBright = data.luminance;
+      this.accessory.log(`[SW${data.channel || 0}] ${platformLang.curBright} [${data.luminance}%]`);
+    }
+  }
+
+  applyPower(data) {
+    // Power is given in mW and voltage in dV
+    if (hasProperty(data, 'power')) {
+      const scaledPower = Math.round(data.power / 10) / 100;
+      if (this.cachePower !== scaledPower) {
+        this.powerService.updateCharacteristic(this.eveChar.CurrentConsumption, scaledPower);
+        this.cachePower = scaledPower;
+        this.accessory.logDebug(`${platformLang.curPower} [${scaledPower}W]`);
+      }
+    }
+    if (hasProperty(data, 'voltage')) {
+      const scaledVoltage = Math.round(data.voltage * 10) / 100;
+      if (this.cacheVoltage !== scaledVoltage) {
+        this.powerService.updateCharacteristic(this.eveChar.Voltage, scaledVoltage);
+        this.cacheVoltage = scaledVoltage;
+        this.accessory.logDebug(`${platformLang.curVolt} [${scaledVoltage}V]`);
+      }
+    }
+  }
+}
@@ -1,8 +1,8 @@
-import PQueue from 'p-queue'; // eslint-disable-line import/no-unresolved
 import { TimeoutError } from 'p-timeout';
-import mqttClient from '../connection/mqtt.js';
+import devicePoller from '../connection/poller.js';
+import deviceQueue from '../connection/queue.js';
 import platformConsts from '../utils/constants.js';
-import { hasProperty, parseError } from '../utils/functions.js';
+import { hasProperty, hasToggleState, parseError } from '../utils/functions.js';
 import platformLang from '../utils/lang-en.js';
 
 export default class {
@@ -18,13 +18,15 @@ export default class {
     this.inUsePowerThreshold = this.accessory.context.options.inUsePowerThreshold
       || platformConsts.defaultValues.inUsePowerThreshold;
     this.name = accessory.displayName;
-    const cloudRefreshRate = hasProperty(platform.config, 'cloudRefreshRate')
-      ? platform.config.cloudRefreshRate
-      : platformConsts.defaultValues.cloudRefreshRate;
-    const localRefreshRate = hasProperty(platform.config, 'refreshRate')
-      ? platform.config.refreshRate
-      : platformConsts.defaultValues.refreshRate;
-    this.pollInterval = accessory.context.connection === 'local'
+    // Refresh rates set for the device take priority over the global options
+    const { options } = accessory.context;
+    const cloudRefreshRate = hasProperty(options, 'cloudRefreshRate')
+      ? options.cloudRefreshRate
+      : platform.config.cloudRefreshRate;
+    const localRefreshRate = hasProperty(options, 'refreshRate')
+      ? options.refreshRate
+      : platform.config.refreshRate;
+    this.pollInterval = ['broker', 'local'].includes(accessory.context.connection)
       ? localRefreshRate
       : cloudRefreshRate;
     this.temperatureSource = accessory.context.options.temperatureSource;
@@ -90,29 +92,17 @@ export default class {
 
     // Create the queue used for sending device requests
     this.updateInProgress = false;
-    this.queue = new PQueue({
-      concurrency: 1,
-      interval: 250,
-      intervalCap: 1,
-      timeout: 10000,
-      throwOnTimeout: true,
-    });
+    this.queue = new deviceQueue(platform, accessory);
     this.queue.on('idle', () => {
       this.updateInProgress = false;
     });
 
-    // Set up the mqtt client for cloud devices to send and receive device updates
-    if (accessory.context.connection !== 'local') {
-      this.accessory.mqtt = new mqttClient(platform, this.accessory);
-      this.accessory.mqtt.connect();
-    }
+    // Register with the cloud mqtt client or local broker to send and receive device updates
+    platform.registerMqttDevice(this.accessory);
 
-    // Always request a device update on startup, then start the interval for polling
+    // Always request a device update on startup, then start polling at an interval that adapts to the device
     setTimeout(() => this.requestUpdate(true), 2000);
-    this.accessory.refreshInterval = setInterval(
-      () => this.requestUpdate(),
-      this.pollInterval * 1000,
-    );
+    this.accessory.poller = new devicePoller(platform, this.accessory, this.pollInterval, () => this.requestUpdate());
 
     // Set up an interval to get regular temperature updates
     setTimeout(() => {
@@ -135,7 +125,7 @@ export default class {
   async internalStateUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('state', async () => {
         let newState;
         let newHeat;
         let newValue;
@@ -178,6 +168,7 @@ export default class {
           await this.platform.sendUpdate(this.accessory, {
             namespace,
             payload,
+            confirm: { isConfirmed: (data) => hasToggleState(data, payload) },
           });
         }
         if (newState !== this.cacheState) {
@@ -207,7 +198,7 @@ export default class {
   async internalTargetTempUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('targetTemp', async () => {
         if (value === this.accessory.context.cacheTarget) {
           return;
         }
@@ -279,7 +270,7 @@ export default class {
   async internalCurrentTempUpdate() {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('currentTemp', async () => {
         if (!this.cacheState) {
           return;
         }
@@ -364,7 +355,7 @@ export default class {
       }
 
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addPoll(async () => {
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
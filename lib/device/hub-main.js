@@ -1,7 +1,6 @@
-import PQueue from 'p-queue'; // eslint-disable-line import/no-unresolved
 import { TimeoutError } from 'p-timeout';
-import mqttClient from '../connection/mqtt.js';
-import platformConsts from '../utils/constants.js';
+import devicePoller from '../connection/poller.js';
+import deviceQueue from '../connection/queue.js';
 import { hasProperty, parseError } from '../utils/functions.js';
 import platformLang from '../utils/lang-en.js';
 
@@ -18,13 +17,15 @@ export default class {
     this.accessory = accessory;
     this.mtsList = [];
     this.name = accessory.displayName;
-    const cloudRefreshRate = hasProperty(platform.config, 'cloudRefreshRate')
-      ? platform.config.cloudRefreshRate
-      : platformConsts.defaultValues.cloudRefreshRate;
-    const localRefreshRate = hasProperty(platform.config, 'refreshRate')
-      ? platform.config.refreshRate
-      : platformConsts.defaultValues.refreshRate;
-    this.pollInterval = accessory.context.connection === 'local'
+    // Refresh rates set for the device take priority over the global options
+    const { options } = accessory.context;
+    const cloudRefreshRate = hasProperty(options, 'cloudRefreshRate')
+      ? options.cloudRefreshRate
+      : platform.config.cloudRefreshRate;
+    const localRefreshRate = hasProperty(options, 'refreshRate')
+      ? options.refreshRate
+      : platform.config.refreshRate;
+    this.pollInterval = ['broker', 'local'].includes(accessory.context.connection)
       ? localRefreshRate
       : cloudRefreshRate;
 
@@ -35,29 +36,17 @@ export default class {
 
     // Create the queue used for sending device requests
     this.updateInProgress = false;
-    this.queue = new PQueue({
-      concurrency: 1,
-      interval: 250,
-      intervalCap: 1,
-      timeout: 10000,
-      throwOnTimeout: true,
-    });
+    this.queue = new deviceQueue(platform, accessory);
     this.queue.on('idle', () => {
       this.updateInProgress = false;
     });
 
-    // Set up the mqtt client for cloud devices to send and receive device updates
-    if (accessory.context.connection !== 'local') {
-      this.accessory.mqtt = new mqttClient(platform, this.accessory);
-      this.accessory.mqtt.connect();
-    }
+    // Register with the cloud mqtt client or local broker to send and receive device updates
+    platform.registerMqttDevice(this.accessory);
 
-    // Always request a device update on startup, then start the interval for polling
+    // Always request a device update on startup, then start polling at an interval that adapts to the device
     setTimeout(() => this.requestUpdate(true), 5000);
-    this.accessory.refreshInterval = setInterval(
-      () => this.requestUpdate(),
-      this.pollInterval * 1000,
-    );
+    this.accessory.poller = new devicePoller(platform, this.accessory, this.pollInterval, () => this.requestUpdate());
   }
 
   async requestUpdate(firstRun = false) {
@@ -68,15 +57,16 @@ export default class {
       }
 
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addPoll(async () => {
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
-        // Send the request
-        const res = await this.platform.sendUpdate(this.accessory, {
-          namespace: 'Appliance.System.All',
-          payload: {},
-        });
+        // Request status for any MTS devices known from previous polls in the same request
+        const requests = [{ namespace: 'Appliance.System.All', payload: {} }];
+        if (this.mtsList.length > 0) {
+          requests.push(this.getMtsRequest());
+        }
+        const [res, resMts] = await this.platform.sendMultiple(this.accessory, requests);
 
         // Log the received data
         this.accessory.logDebug(`${platformLang.incPoll}: ${JSON.stringify(res.data)}`);
@@ -126,7 +116,7 @@ export default class {
               }
 
               // Check to see if any MTS exist
-              if (hasProperty(subdevice, 'scheduleBMode')) {
+              if (hasProperty(subdevice, 'scheduleBMode') && !this.mtsList.includes(subdevice.id)) {
                 this.mtsList.push(subdevice.id);
               }
             });
@@ -187,18 +177,12 @@ export default class {
           }
         }
 
-        // Request status for any MTS devices that exist
-        if (this.mtsList.length > 0) {
-          const payload = { all: [] };
-          this.mtsList.forEach((id) => payload.all.push({ id }));
-
-          // Send the request
-          const res2 = await this.platform.sendUpdate(this.accessory, {
-            namespace: 'Appliance.Hub.Mts100.All',
-            payload,
-            method: 'GET',
-          });
-
+        // Request status for any MTS devices that have been found for the first time in this poll
+        let res2 = resMts;
+        if (requests.length === 1 && this.mtsList.length > 0) {
+          res2 = await this.platform.sendUpdate(this.accessory, this.getMtsRequest());
+        }
+        if (res2) {
           // Log the received data
           this.accessory.logDebug(`${platformLang.incPoll}: ${JSON.stringify(res2.data)}`);
 
@@ -257,6 +241,14 @@ export default class {
     }
   }
 
+  getMtsRequest() {
+    return {
+      namespace: 'Appliance.Hub.Mts100.All',
+      payload: { all: this.mtsList.map((id) => ({ id })) },
+      method: 'GET',
+    };
+  }
+
   async requestSubdevices() {
     try {
       /*
@@ -265,7 +257,7 @@ export default class {
         from the cloud.
       */
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addPoll(async () => {
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
@@ -1,5 +1,5 @@
-import PQueue from 'p-queue'; // eslint-disable-line import/no-unresolved
 import { TimeoutError } from 'p-timeout';
+import deviceQueue from '../connection/queue.js';
 import platformConsts from '../utils/constants.js';
 import { hasProperty, parseError } from '../utils/functions.js';
 import platformLang from '../utils/lang-en.js';
@@ -98,13 +98,7 @@ export default class {
 
     // Create the queue used for sending device requests
     this.updateInProgress = false;
-    this.queue = new PQueue({
-      concurrency: 1,
-      interval: 250,
-      intervalCap: 1,
-      timeout: 10000,
-      throwOnTimeout: true,
-    });
+    this.queue = new deviceQueue(platform, priAcc);
     this.queue.on('idle', () => {
       this.updateInProgress = false;
     });
@@ -120,7 +114,7 @@ export default class {
   async internalStateUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('state', async () => {
         // Don't continue if the state is the same as before
         if (value === this.cacheState) {
           return;
@@ -170,7 +164,7 @@ export default class {
       }
 
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('mode', async () => {
         // Don't continue if the state is the same as before
         if (newMode === this.cacheMode) {
           return;
@@ -222,7 +216,7 @@ export default class {
   async internalTargetUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('target', async () => {
         // Don't continue if the state is the same as before
         if (value === this.cacheTarg) {
           return;
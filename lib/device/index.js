@@ -5,6 +5,7 @@ import deviceFan from './fan.js';
 import deviceGarageMain from './garage-main.js';
 import deviceGarageSingle from './garage-single.js';
 import deviceGarageSub from './garage-sub.js';
+import deviceGeneric from './generic.js';
 import deviceHeaterSingle from './heater-single.js';
 import deviceHubLeak from './hub-leak.js';
 import deviceHubMain from './hub-main.js';
@@ -33,6 +34,7 @@ export default {
   deviceGarageMain,
   deviceGarageSingle,
   deviceGarageSub,
+  deviceGeneric,
   deviceHeaterSingle,
   deviceHubLeak,
   deviceHubMain,
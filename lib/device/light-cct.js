@@ -1,14 +1,9 @@
-import PQueue from 'p-queue'; // eslint-disable-line import/no-unresolved
 import { TimeoutError } from 'p-timeout';
-import mqttClient from '../connection/mqtt.js';
+import devicePoller from '../connection/poller.js';
+import deviceQueue from '../connection/queue.js';
 import { hk2mrCT, mr2hkCT } from '../utils/colour.js';
 import platformConsts from '../utils/constants.js';
-import {
-  generateRandomString,
-  hasProperty,
-  parseError,
-  sleep,
-} from '../utils/functions.js';
+import { hasProperty, hasToggleState, parseError } from '../utils/functions.js';
 import platformLang from '../utils/lang-en.js';
 
 export default class {
@@ -27,13 +22,15 @@ export default class {
     this.brightnessStep = this.accessory.context.options.brightnessStep || platformConsts.defaultValues.brightnessStep;
     this.brightnessStep = Math.min(this.brightnessStep, 100);
     this.name = accessory.displayName;
-    const cloudRefreshRate = hasProperty(platform.config, 'cloudRefreshRate')
-      ? platform.config.cloudRefreshRate
-      : platformConsts.defaultValues.cloudRefreshRate;
-    const localRefreshRate = hasProperty(platform.config, 'refreshRate')
-      ? platform.config.refreshRate
-      : platformConsts.defaultValues.refreshRate;
-    this.pollInterval = accessory.context.connection === 'local'
+    // Refresh rates set for the device take priority over the global options
+    const { options } = accessory.context;
+    const cloudRefreshRate = hasProperty(options, 'cloudRefreshRate')
+      ? options.cloudRefreshRate
+      : platform.config.cloudRefreshRate;
+    const localRefreshRate = hasProperty(options, 'refreshRate')
+      ? options.refreshRate
+      : platform.config.refreshRate;
+    this.pollInterval = ['broker', 'local'].includes(accessory.context.connection)
       ? localRefreshRate
       : cloudRefreshRate;
     this.hasNightLight = accessory.context.model === 'MSL210';
@@ -101,29 +98,17 @@ export default class {
 
     // Create the queue used for sending device requests
     this.updateInProgress = false;
-    this.queue = new PQueue({
-      concurrency: 1,
-      interval: 250,
-      intervalCap: 1,
-      timeout: 10000,
-      throwOnTimeout: true,
-    });
+    this.queue = new deviceQueue(platform, accessory);
     this.queue.on('idle', () => {
       this.updateInProgress = false;
     });
 
-    // Set up the mqtt client for cloud devices to send and receive device updates
-    if (accessory.context.connection !== 'local') {
-      this.accessory.mqtt = new mqttClient(platform, this.accessory);
-      this.accessory.mqtt.connect();
-    }
+    // Register with the cloud mqtt client or local broker to send and receive device updates
+    platform.registerMqttDevice(this.accessory);
 
-    // Always request a device update on startup, then start the interval for polling
+    // Always request a device update on startup, then start polling at an interval that adapts to the device
     setTimeout(() => this.requestUpdate(true), 2000);
-    this.accessory.refreshInterval = setInterval(
-      () => this.requestUpdate(),
-      this.pollInterval * 1000,
-    );
+    this.accessory.poller = new devicePoller(platform, this.accessory, this.pollInterval, () => this.requestUpdate());
 
     // Output the customised options to the log
     const opts = JSON.stringify({
@@ -137,7 +122,7 @@ export default class {
   async internalStateUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('state', async () => {
         // Don't continue if the state is the same as before
         if (value === this.cacheState) {
           return;
@@ -159,6 +144,7 @@ export default class {
         await this.platform.sendUpdate(this.accessory, {
           namespace,
           payload,
+          confirm: { isConfirmed: (data) => hasToggleState(data, payload) },
         });
 
         // Update the cache and log the update has been successful
@@ -179,20 +165,12 @@ export default class {
   async internalBrightnessUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('brightness', async () => {
         // Don't continue if the state is the same as before
         if (this.cacheBright === value) {
           return;
         }
 
-        // Avoid multiple changes in short space of time
-        const updateKey = generateRandomString(5);
-        this.updateKeyBright = updateKey;
-        await sleep(300);
-        if (updateKey !== this.updateKeyBright) {
-          return;
-        }
-
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
@@ -231,20 +209,12 @@ export default class {
   async internalCTUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('colourTemp', async () => {
         // Don't continue if the state is the same as before
         if (this.cacheMired === value) {
           return;
         }
 
-        // Avoid multiple changes in short space of time
-        const updateKey = generateRandomString(5);
-        this.updateKeyCT = updateKey;
-        await sleep(300);
-        if (updateKey !== this.updateKeyCT) {
-          return;
-        }
-
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
@@ -292,7 +262,7 @@ export default class {
   async internalNightUpdate(effect, value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('night', async () => {
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
@@ -335,7 +305,7 @@ export default class {
       }
 
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addPoll(async () => {
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
@@ -1,8 +1,7 @@
-import PQueue from 'p-queue'; // eslint-disable-line import/no-unresolved
 import { TimeoutError } from 'p-timeout';
-import mqttClient from '../connection/mqtt.js';
-import platformConsts from '../utils/constants.js';
-import { hasProperty, parseError } from '../utils/functions.js';
+import devicePoller from '../connection/poller.js';
+import deviceQueue from '../connection/queue.js';
+import { hasProperty, hasToggleState, parseError } from '../utils/functions.js';
 import platformLang from '../utils/lang-en.js';
 
 export default class {
@@ -17,13 +16,15 @@ export default class {
     // Set up variables from the accessory
     this.accessory = accessory;
     this.name = accessory.displayName;
-    const cloudRefreshRate = hasProperty(platform.config, 'cloudRefreshRate')
-      ? platform.config.cloudRefreshRate
-      : platformConsts.defaultValues.cloudRefreshRate;
-    const localRefreshRate = hasProperty(platform.config, 'refreshRate')
-      ? platform.config.refreshRate
-      : platformConsts.defaultValues.refreshRate;
-    this.pollInterval = accessory.context.connection === 'local'
+    // Refresh rates set for the device take priority over the global options
+    const { options } = accessory.context;
+    const cloudRefreshRate = hasProperty(options, 'cloudRefreshRate')
+      ? options.cloudRefreshRate
+      : platform.config.cloudRefreshRate;
+    const localRefreshRate = hasProperty(options, 'refreshRate')
+      ? options.refreshRate
+      : platform.config.refreshRate;
+    this.pollInterval = ['broker', 'local'].includes(accessory.context.connection)
       ? localRefreshRate
       : cloudRefreshRate;
     this.priAcc = this.devicesInHB.get(
@@ -47,31 +48,19 @@ export default class {
 
     // Create the queue used for sending device requests
     this.updateInProgress = false;
-    this.queue = new PQueue({
-      concurrency: 1,
-      interval: 250,
-      intervalCap: 1,
-      timeout: 10000,
-      throwOnTimeout: true,
-    });
+    this.queue = new deviceQueue(platform, accessory);
     this.queue.on('idle', () => {
       this.updateInProgress = false;
     });
 
     // We only need to setup mqtt client and polling for 'main' accessory (channel 0)
     if (accessory.context.channel === 0) {
-      // Set up the mqtt client for cloud devices to send and receive device updates
-      if (accessory.context.connection !== 'local') {
-        this.accessory.mqtt = new mqttClient(platform, this.accessory);
-        this.accessory.mqtt.connect();
-      }
+      // Register with the cloud mqtt client or local broker to send and receive device updates
+      platform.registerMqttDevice(this.accessory);
 
-      // Always request a device update on startup, then start the interval for polling
+      // Always request a device update on startup, then start polling at an interval that adapts to the device
       setTimeout(() => this.requestUpdate(true), 2000);
-      this.accessory.refreshInterval = setInterval(
-        () => this.requestUpdate(),
-        this.pollInterval * 1000,
-      );
+      this.accessory.poller = new devicePoller(platform, this.accessory, this.pollInterval, () => this.requestUpdate());
     }
 
     // Output the customised options to the log
@@ -86,7 +75,7 @@ export default class {
   async internalStateUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('state', async () => {
         // Don't continue if the state is the same as before
         if (value === this.service.getCharacteristic(this.hapChar.On).value) {
           return;
@@ -111,6 +100,7 @@ export default class {
         await this.platform.sendUpdate(accessory, {
           namespace,
           payload,
+          confirm: { isConfirmed: (data) => hasToggleState(data, payload) },
         });
 
         // Update the cache and log the update has been successful
@@ -197,7 +187,7 @@ export default class {
       }
 
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addPoll(async () => {
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
@@ -1,8 +1,8 @@
-import PQueue from 'p-queue'; // eslint-disable-line import/no-unresolved
 import { TimeoutError } from 'p-timeout';
-import mqttClient from '../connection/mqtt.js';
+import devicePoller from '../connection/poller.js';
+import deviceQueue from '../connection/queue.js';
 import platformConsts from '../utils/constants.js';
-import { hasProperty, parseError } from '../utils/functions.js';
+import { hasProperty, hasToggleState, parseError } from '../utils/functions.js';
 import platformLang from '../utils/lang-en.js';
 
 export default class {
@@ -19,13 +19,15 @@ export default class {
     this.inUsePowerThreshold = this.accessory.context.options.inUsePowerThreshold
       || platformConsts.defaultValues.inUsePowerThreshold;
     this.name = accessory.displayName;
-    const cloudRefreshRate = hasProperty(platform.config, 'cloudRefreshRate')
-      ? platform.config.cloudRefreshRate
-      : platformConsts.defaultValues.cloudRefreshRate;
-    const localRefreshRate = hasProperty(platform.config, 'refreshRate')
-      ? platform.config.refreshRate
-      : platformConsts.defaultValues.refreshRate;
-    this.pollInterval = accessory.context.connection === 'local'
+    // Refresh rates set for the device take priority over the global options
+    const { options } = accessory.context;
+    const cloudRefreshRate = hasProperty(options, 'cloudRefreshRate')
+      ? options.cloudRefreshRate
+      : platform.config.cloudRefreshRate;
+    const localRefreshRate = hasProperty(options, 'refreshRate')
+      ? options.refreshRate
+      : platform.config.refreshRate;
+    this.pollInterval = ['broker', 'local'].includes(accessory.context.connection)
       ? localRefreshRate
       : cloudRefreshRate;
 
@@ -58,29 +60,17 @@ export default class {
 
     // Create the queue used for sending device requests
     this.updateInProgress = false;
-    this.queue = new PQueue({
-      concurrency: 1,
-      interval: 250,
-      intervalCap: 1,
-      timeout: 10000,
-      throwOnTimeout: true,
-    });
+    this.queue = new deviceQueue(platform, accessory);
     this.queue.on('idle', () => {
       this.updateInProgress = false;
     });
 
-    // Set up the mqtt client for cloud devices to send and receive device updates
-    if (accessory.context.connection !== 'local') {
-      this.accessory.mqtt = new mqttClient(platform, this.accessory);
-      this.accessory.mqtt.connect();
-    }
+    // Register with the cloud mqtt client or local broker to send and receive device updates
+    platform.registerMqttDevice(this.accessory);
 
-    // Always request a device update on startup, then start the interval for polling
+    // Always request a device update on startup, then start polling at an interval that adapts to the device
     setTimeout(() => this.requestUpdate(true), 2000);
-    this.accessory.refreshInterval = setInterval(
-      () => this.requestUpdate(),
-      this.pollInterval * 1000,
-    );
+    this.accessory.poller = new devicePoller(platform, this.accessory, this.pollInterval, () => this.requestUpdate());
 
     // Test to see if the device supports power usage
     this.setupPowerReadings();
@@ -97,7 +87,7 @@ export default class {
   async internalStateUpdate(value) {
     try {
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addCommand('state', async () => {
         // Don't continue if the state is the same as before
         if (value === this.cacheState) {
           return;
@@ -130,6 +120,7 @@ export default class {
         await this.platform.sendUpdate(this.accessory, {
           namespace,
           payload,
+          confirm: { isConfirmed: (data) => hasToggleState(data, payload) },
         });
 
         // Update the current purifying characteristic
@@ -158,15 +149,19 @@ export default class {
       }
 
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addPoll(async () => {
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
 
-        // Send the request
-        const res = await this.platform.sendUpdate(this.accessory, {
-          namespace: 'Appliance.System.All',
-          payload: {},
-        });
+        // Include a power reading in the same request when one is due
+        const requests = [{ namespace: 'Appliance.System.All', payload: {} }];
+        if (this.isPowerDue()) {
+          requests.push({ namespace: 'Appliance.Control.Electricity', payload: {} });
+        }
+        const [res, resPower] = await this.platform.sendMultiple(this.accessory, requests);
+        if (resPower) {
+          this.applyPowerReading(resPower);
+        }
 
         // Log the received data
         this.accessory.logDebug(`${platformLang.incPoll}: ${JSON.stringify(res.data)}`);
@@ -334,6 +329,7 @@ export default class {
         }
 
         // Create the poll
+        this.hasPowerReadings = true;
         this.requestPowerReadings();
         this.accessory.powerInterval = setInterval(() => this.requestPowerReadings(), 60000);
       });
@@ -343,10 +339,32 @@ export default class {
     }
   }
 
+  isPowerDue() {
+    // Readings are taken every minute, allowing a few seconds for the timing of the polls
+    return this.hasPowerReadings && Date.now() - (this.lastPowerReading || 0) >= 55000;
+  }
+
+  applyPowerReading(res) {
+    // Log the received data
+    this.accessory.logDebug(`${platformLang.incPoll}: ${JSON.stringify(res.data)}`);
+
+    // Check the response is in a useful format
+    const data = res.data.payload;
+    if (data && data.electricity) {
+      this.lastPowerReading = Date.now();
+      this.applyUpdate(data.electricity);
+    }
+  }
+
   async requestPowerReadings() {
     try {
+      // No need to request a reading if one has been received with a recent poll
+      if (!this.isPowerDue()) {
+        return;
+      }
+
       // Add the request to the queue so updates are sent apart
-      await this.queue.add(async () => {
+      await this.queue.addPoll(async () => {
         // This flag stops the plugin from requesting updates while pending on others
         this.updateInProgress = true;
         // Send the request
@@ -354,15 +372,7 @@ export default class {
           namespace: 'Appliance.Control.Electricity',
           payload: {},
         });
-
-        // Log the received data
-        this.accessory.logDebug(`${platformLang.incPoll}: ${JSON.stringify(res.data)}`);
-
-        // Check the response is in a useful format
-        const data = res.data.payload;
-        if (data && data.electricity) {
-          this.applyUpdate(data.electricity);
-        }
+        this.applyPowerReading(res);
       });
     } catch (err) {
       this.accessory.logDebugWarn(`${platformLang.powerFail} ${parseError(err)}`);
@@ -1,10 +1,58 @@
-import { HomebridgePluginUiServer } from '@homebridge/plugin-ui-utils';
+import { join } from 'path';
+import { HomebridgePluginUiServer, RequestError } from '@homebridge/plugin-ui-utils';
+import { getConfigEntry, scanNetwork } from '../connection/discovery.js';
+import httpClient from '../connection/http.js';
+
+const scan = async (payload) => {
+  try {
+    // Each device found is returned with an entry for the config array of its model
+    const devices = await scanNetwork(payload.userkey, payload.subnet);
+    return devices
+      .sort((a, b) => a.ipAddress.localeCompare(b.ipAddress, undefined, { numeric: true }))
+      .map((device) => ({ ...device, ...getConfigEntry(device) }));
+  } catch (err) {
+    throw new RequestError(err.message, { status: 400 });
+  }
+};
 
 class PluginUiServer extends HomebridgePluginUiServer {
   constructor() {
     super();
+    this.onRequest('/login', async (payload) => this.login(payload));
+    this.onRequest('/scan', async (payload) => scan(payload));
     this.ready();
   }
+
+  async login(payload) {
+    try {
+      // The http client expects the logging functions of the platform
+      const log = () => {};
+      log.warn = log;
+      log.debug = log;
+      log.debugWarn = log;
+
+      const client = new httpClient({
+        api: { user: { persistPath: () => join(this.homebridgeStoragePath, 'persist') } },
+        config: {
+          domain: payload.domain,
+          mfaCode: payload.mfaCode,
+          password: payload.password,
+          proxy: payload.proxy,
+          username: payload.username,
+        },
+        ignoredDevices: [],
+        localUUIDs: [],
+        log,
+      });
+
+      // Always log in with the code, the session is then stored for the plugin to use
+      client.sessionChecked = true;
+      await client.login();
+      return { success: true };
+    } catch (err) {
+      throw new RequestError(err.message, { status: 400 });
+    }
+  }
 }
 
 (() => new PluginUiServer())();
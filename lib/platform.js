@@ -1,15 +1,36 @@
 import { createHash } from 'crypto';
 import { createRequire } from 'module';
 import { join } from 'path';
-import axios from 'axios';
 import storage from 'node-persist';
+import brokerServer from './connection/broker-server.js';
+import brokerClient from './connection/broker.js';
+import deviceCapture from './connection/capture.js';
+import deviceDiscovery from './connection/discovery.js';
 import httpClient from './connection/http.js';
+import mqttClient from './connection/mqtt.js';
+import cloudMqttTransport from './connection/transport-cloud-mqtt.js';
+import hybridTransport from './connection/transport-hybrid.js';
+import localHttpTransport from './connection/transport-local-http.js';
+import localMqttTransport from './connection/transport-local-mqtt.js';
 import deviceTypes from './device/index.js';
 import eveService from './fakegato/fakegato-history.js';
 import platformConsts from './utils/constants.js';
 import platformChars from './utils/custom-chars.js';
+import {
+  TransportConfirmError,
+  TransportNetworkError,
+  TransportResponseError,
+  TransportTimeoutError,
+} from './utils/errors.js';
 import eveChars from './utils/eve-chars.js';
-import { generateRandomString, hasProperty, parseError } from './utils/functions.js';
+import {
+  generateRandomString,
+  getAbilityType,
+  getModelType,
+  hasProperty,
+  isCloudOutage,
+  parseError,
+} from './utils/functions.js';
 import platformLang from './utils/lang-en.js';
 
 const require = createRequire(import.meta.url);
@@ -25,14 +46,22 @@ export default class {
     try {
       this.api = api;
       this.log = log;
+      this.brokerClient = false;
+      this.brokerServer = false;
       this.isBeta = plugin.version.includes('beta');
       this.cloudClient = false;
       this.deviceConf = {};
+      this.discovery = new deviceDiscovery(this);
       this.devicesInHB = new Map();
       this.hideChannels = [];
       this.hideMasters = [];
       this.ignoredDevices = [];
+      this.cloudDeviceNames = new Map();
       this.localUUIDs = [];
+      this.mqttClient = false;
+      this.pollers = new Map();
+      this.pushWaiters = new Map();
+      this.retryDevices = new Map();
 
       // Make sure user is running Homebridge v1.4 or above
       if (!api?.versionGreaterOrEqual('1.4.0')) {
@@ -59,6 +88,12 @@ export default class {
       this.config = platformConsts.defaultConfig;
       this.applyUserConfig(config);
 
+      // In capture mode the messages to and from each device are recorded to a file
+      if (this.config.captureMode) {
+        this.capture = new deviceCapture(this);
+        this.log.warn('%s [%s].', platformLang.captureOn, this.capture.file);
+      }
+
       // Set up the Homebridge events
       this.api.on('didFinishLaunching', () => this.pluginSetup());
       this.api.on('shutdown', () => this.pluginShutdown());
@@ -100,6 +135,7 @@ export default class {
       switch (key) {
         case 'babyDevices':
         case 'diffuserDevices':
+        case 'fanDevices':
         case 'garageDevices':
         case 'humidifierDevices':
         case 'lightDevices':
@@ -152,7 +188,26 @@ export default class {
                     }
                     break;
                   }
+                  case 'cloudRefreshRate':
+                  case 'refreshRate': {
+                    if (typeof v === 'string') {
+                      logQuotes(`${key}.${id}.${k}`);
+                    }
+                    const intVal = parseInt(v, 10);
+                    if (Number.isNaN(intVal)) {
+                      logIgnore(`${key}.${id}.${k}`);
+                    } else if (intVal !== 0 && intVal < platformConsts.minValues[k]) {
+                      logIncrease(`${key}.${id}.${k}`, platformConsts.minValues[k]);
+                      this.deviceConf[id][k] = platformConsts.minValues[k];
+                    } else if (intVal === 0 || intVal > platformConsts.maxValues[k]) {
+                      this.deviceConf[id][k] = platformConsts.maxValues[k];
+                    } else {
+                      this.deviceConf[id][k] = intVal;
+                    }
+                    break;
+                  }
                   case 'connection':
+                  case 'deviceType':
                   case 'showAs': {
                     const inSet = platformConsts.allowed[k].includes(v);
                     if (typeof v !== 'string' || !inSet) {
@@ -199,6 +254,7 @@ export default class {
                       this.ignoredDevices.push(id);
                     }
                     break;
+                  case 'confirmWrites':
                   case 'reversePolarity':
                     if (typeof v === 'string') {
                       logQuotes(`${key}.${id}.${k}`);
@@ -209,11 +265,35 @@ export default class {
                     logRemove(`${key}.${id}.${k}`);
                 }
               });
+
+              // Devices using a local broker can be set up without the cloud if the model is known
+              if (
+                (this.deviceConf[id].connection || config.connection) === 'broker'
+                && this.deviceConf[id].model
+                && !this.deviceConf[id].deviceUrl
+              ) {
+                this.localUUIDs.push(id);
+              }
             });
           } else {
             logIgnore(key);
           }
           break;
+        case 'deviceListRefreshRate': {
+          if (typeof val === 'string') {
+            logQuotes(key);
+          }
+          const intVal = parseInt(val, 10);
+          if (Number.isNaN(intVal)) {
+            logDefault(key, platformConsts.defaultValues[key]);
+          } else if (intVal !== 0 && intVal < platformConsts.minValues[key]) {
+            logIncrease(key, platformConsts.minValues[key]);
+            this.config[key] = platformConsts.minValues[key];
+          } else {
+            this.config[key] = intVal;
+          }
+          break;
+        }
         case 'cloudRefreshRate':
         case 'refreshRate': {
           if (typeof val === 'string') {
@@ -224,14 +304,15 @@ export default class {
             logDefault(key, platformConsts.defaultValues[key]);
           } else if (intVal !== 0 && intVal < platformConsts.minValues[key]) {
             logIncrease(key, platformConsts.minValues[key]);
-          } else if (intVal === 0 || intVal > 600) {
-            this.config[key] = 600;
+          } else if (intVal === 0 || intVal > platformConsts.maxValues[key]) {
+            this.config[key] = platformConsts.maxValues[key];
           } else {
             this.config[key] = intVal;
           }
           break;
         }
-        case 'connection': {
+        case 'connection':
+        case 'mqttTransport': {
           const inSet = platformConsts.allowed[key].includes(val);
           if (typeof val !== 'string' || !inSet) {
             logIgnore(key);
@@ -240,20 +321,77 @@ export default class {
           }
           break;
         }
+        case 'captureMode':
         case 'disableDeviceLogging':
+        case 'embeddedBroker':
         case 'ignoreHKNative':
         case 'ignoreMatter':
+        case 'logoutOnShutdown':
           if (typeof val === 'string') {
             logQuotes(key);
           }
           this.config[key] = val === 'false' ? false : !!val;
           break;
+        case 'mfaCode':
+          // An empty code is the same as no code, as the field is usually left blank once logged in
+          if (typeof val === 'string' && val.trim() === '') {
+            break;
+          }
+          if (typeof val !== 'string' && typeof val !== 'number') {
+            logIgnore(key);
+          } else {
+            const mfaCode = val.toString().replace(/\D+/g, '');
+            if (mfaCode.length === 6) {
+              this.config[key] = mfaCode;
+            } else {
+              logIgnore(key);
+            }
+          }
+          break;
         case 'name':
         case 'platform':
           break;
+        case 'embeddedBrokerPort': {
+          if (typeof val === 'string') {
+            logQuotes(key);
+          }
+          const intVal = parseInt(val, 10);
+          if (Number.isNaN(intVal) || intVal < 1 || intVal > 65535) {
+            logDefault(key, platformConsts.defaultValues[key]);
+          } else {
+            this.config[key] = intVal;
+          }
+          break;
+        }
+        case 'brokerUrl':
+          if (typeof val !== 'string') {
+            logIgnore(key);
+          } else {
+            const brokerUrl = val.trim();
+            if (/^(mqtts?|wss?):\/\/[^/]+/i.test(brokerUrl)) {
+              this.config[key] = brokerUrl;
+            } else if (brokerUrl) {
+              logIgnore(key);
+            }
+          }
+          break;
+        case 'proxy':
+          if (typeof val !== 'string') {
+            logIgnore(key);
+          } else {
+            const proxy = val.trim();
+            if (/^(https?|socks(4a?|5h?)):\/\/[^/]+\/?$/i.test(proxy)) {
+              this.config[key] = proxy.replace(/\/$/, '');
+            } else if (proxy) {
+              logIgnore(key);
+            }
+          }
+          break;
+        case 'brokerPassword':
+        case 'brokerUsername':
+        case 'domain':
         case 'password':
         case 'username':
-        case 'domain':
           if (typeof val !== 'string') {
             logIgnore(key);
           } else {
@@ -319,6 +457,22 @@ export default class {
         this.log.debugWarn('%s %s.', platformLang.storageSetupErr, parseError(err));
       }
 
+      // Connect to the user's own mqtt broker, or host one, for any devices using the broker connection
+      if (this.config.embeddedBroker) {
+        this.brokerServer = new brokerServer(this);
+        try {
+          this.brokerClient = new brokerClient(this, await this.brokerServer.start());
+          this.brokerClient.connect();
+        } catch (err) {
+          this.log.warn('%s %s.', platformLang.embeddedStartErr, parseError(err));
+          this.brokerServer.stop();
+          this.brokerServer = false;
+        }
+      } else if (this.config.brokerUrl) {
+        this.brokerClient = new brokerClient(this);
+        this.brokerClient.connect();
+      }
+
       // If the user has configured cloud username and password then get a device list
       let cloudDevices = [];
       try {
@@ -329,73 +483,48 @@ export default class {
         this.accountDetails = await this.cloudClient.login();
         cloudDevices = await this.cloudClient.getDevices();
 
+        // Open the single mqtt connection for the account, shared by all the cloud devices
+        this.mqttClient = new mqttClient(this);
+        this.mqttClient.connect(
+          this.accountDetails.mqttDomain || cloudDevices.find((el) => el.domain)?.domain,
+        );
+
         // Initialise the cloud configured devices into Homebridge
-        cloudDevices.forEach((device) => this.initialiseDevice(device));
+        this.initialiseCloudDevices(cloudDevices);
       } catch (err) {
-        const eText = parseError(err, [platformLang.missingCreds]);
+        const eText = parseError(err, [
+          platformLang.missingCreds,
+          platformLang.mfaRequired,
+          platformLang.mfaWrong,
+        ]);
         this.log.warn('%s %s.', platformLang.disablingCloud, eText);
         this.cloudClient = false;
         this.accountDetails = {
           key: this.config.userkey,
         };
+
+        // If credentials have been configured then keep trying to reach the cloud in the background
+        if (this.config.username && this.config.password) {
+          if (isCloudOutage(err)) {
+            this.cloudRecovering = true;
+            this.recoverCloud();
+          } else {
+            this.log.warn('%s.', platformLang.cloudNoRetry);
+          }
+        }
       }
 
       // Check if a user key has been configured if the credentials aren't present
       if (this.cloudClient || this.config.userkey) {
         // Initialise the local configured devices into Homebridge
-        Object.values(this.deviceConf)
-          .filter((el) => el.deviceUrl)
-          .forEach((device) => {
-            // Ensure we have a model property if a user key is configured
-            if (this.config.userkey && !device.model) {
-              this.log.warn('[%s] missing config property \'model\' for this device.', device.name);
-              return;
-            }
-
-            // Rename some properties to fit the format of a cloud device
-            // Local devices don't have the uuid already set
-            device.uuid = device.serialNumber;
-            device.deviceType = device.model.toUpperCase().replace(/-+/g, '');
-            device.devName = device.name;
-            device.channels = [];
-
-            // Retrieve how many channels this device has
-            const garageCount = device.deviceType === 'MSG200' ? 3 : 1;
-            const channelCount = platformConsts.models.switchMulti[device.deviceType] || garageCount;
-
-            // Create a list of channels to fit the format of a cloud device
-            if (channelCount > 1) {
-              for (let index = 0; index <= channelCount; index += 1) {
-                device.channels.push({});
-              }
-            }
-            this.initialiseDevice(device);
-          });
-      } else {
+        this.initialiseLocalDevices();
+      } else if (!this.cloudRecovering) {
         // Cloud client disabled and no user key - plugin will be useless
         throw new Error(platformLang.noCredentials);
       }
 
       // Check for redundant accessories or those that have been ignored but exist
-      this.devicesInHB.forEach((accessory) => {
-        switch (accessory.context.connection) {
-          case 'cloud':
-          case 'hybrid':
-            if (!cloudDevices.some((el) => el.uuid === accessory.context.serialNumber)) {
-              this.removeAccessory(accessory);
-            }
-            break;
-          case 'local':
-            if (!this.localUUIDs.includes(accessory.context.serialNumber)) {
-              this.removeAccessory(accessory);
-            }
-            break;
-          default:
-            // Should never happen
-            this.removeAccessory(accessory);
-            break;
-        }
-      });
+      this.removeRedundantAccessories(cloudDevices);
 
       // Setup successful
       this.log('%s. %s', platformLang.complete, platformLang.welcome);
@@ -408,23 +537,235 @@ export default class {
     }
   }
 
+  initialiseCloudDevices(cloudDevices) {
+    cloudDevices.forEach((device) => {
+      // Keep a note of the device name to compare against in later device list syncs
+      this.cloudDeviceNames.set(device.uuid, device.devName);
+      this.initialiseDevice(device);
+    });
+
+    // Keep the devices in sync with any changes made in the Meross app
+    if (this.config.deviceListRefreshRate && !this.syncInterval) {
+      this.syncInterval = setInterval(
+        () => this.syncCloudDevices(),
+        this.config.deviceListRefreshRate * 1000,
+      );
+    }
+  }
+
+  async syncCloudDevices() {
+    try {
+      // Ignored devices and the HomeKit native and Matter filters are applied by the http client
+      const cloudDevices = await this.cloudClient.getDevices();
+
+      // Devices that could not be set up before are tried again, unless removed from the account
+      this.retryDevices.forEach((device, uuid) => {
+        if (!cloudDevices.some((el) => el.uuid === uuid) && !this.localUUIDs.includes(uuid)) {
+          this.retryDevices.delete(uuid);
+        }
+      });
+      this.retryFailedDevices();
+      cloudDevices.forEach((device) => {
+        if (!this.cloudDeviceNames.has(device.uuid)) {
+          // The device has been added to the Meross account since the last sync
+          this.log('[%s] %s.', device.devName, platformLang.syncNewDevice);
+          this.cloudDeviceNames.set(device.uuid, device.devName);
+          this.initialiseDevice(device);
+        } else if (this.cloudDeviceNames.get(device.uuid) !== device.devName) {
+          // The device has been renamed in the Meross app
+          this.cloudDeviceNames.set(device.uuid, device.devName);
+          this.renameCloudDevice(device);
+        }
+      });
+
+      // Forget about any devices that have been removed from the Meross account
+      this.cloudDeviceNames.forEach((devName, uuid) => {
+        if (!cloudDevices.some((el) => el.uuid === uuid)) {
+          this.cloudDeviceNames.delete(uuid);
+        }
+      });
+
+      // And remove their accessories from Homebridge
+      this.removeRedundantAccessories(cloudDevices);
+    } catch (err) {
+      this.log.warn('%s %s.', platformLang.syncFailed, parseError(err));
+    }
+  }
+
+  renameCloudDevice(device) {
+    this.devicesInHB.forEach((accessory) => {
+      // Hidden accessories have no name in HomeKit and hub subdevices are named separately
+      if (
+        accessory.context.serialNumber !== device.uuid
+        || accessory.context.hidden
+        || accessory.context.subSerialNumber
+      ) {
+        return;
+      }
+
+      // Channel accessories are named after the channel, or the device name and channel number
+      const { channel } = accessory.context;
+      const newName = channel > 0
+        ? device.channels[channel]?.devName || `${device.devName} SW${channel}`
+        : device.devName;
+      if (accessory.displayName === newName) {
+        return;
+      }
+      this.log('[%s] %s [%s].', accessory.displayName, platformLang.syncRenamed, newName);
+      accessory.displayName = newName;
+      accessory
+        .getService(this.api.hap.Service.AccessoryInformation)
+        .updateCharacteristic(this.api.hap.Characteristic.ConfiguredName, newName);
+      if (accessory.control) {
+        accessory.control.name = newName;
+      }
+      this.api.updatePlatformAccessories([accessory]);
+    });
+  }
+
+  initialiseLocalDevices() {
+    this.localDevicesInitialised = true;
+    Object.entries(this.deviceConf)
+      .filter(([id]) => this.localUUIDs.includes(id))
+      .forEach(([, device]) => {
+        // Ensure we have a model property if a user key is configured
+        if (this.config.userkey && !device.model) {
+          this.log.warn('[%s] missing config property \'model\' for this device.', device.name);
+          return;
+        }
+
+        // Rename some properties to fit the format of a cloud device
+        // Local devices don't have the uuid already set
+        device.uuid = device.serialNumber;
+        device.deviceType = device.model.toUpperCase().replace(/-+/g, '');
+        device.devName = device.name;
+        device.channels = [];
+
+        // Retrieve how many channels this device has
+        const garageCount = device.deviceType === 'MSG200' ? 3 : 1;
+        const channelCount = platformConsts.models.switchMulti[device.deviceType] || garageCount;
+
+        // Create a list of channels to fit the format of a cloud device
+        if (channelCount > 1) {
+          for (let index = 0; index <= channelCount; index += 1) {
+            device.channels.push({});
+          }
+        }
+        this.initialiseDevice(device);
+      });
+  }
+
+  removeRedundantAccessories(cloudDevices) {
+    this.devicesInHB.forEach((accessory) => {
+      switch (accessory.context.connection) {
+        case 'broker':
+          // Broker devices are either configured with a model or come from the cloud device list
+          if (this.localUUIDs.includes(accessory.context.serialNumber)) {
+            break;
+          }
+        // falls through
+        case 'cloud':
+        case 'hybrid':
+          // Cached cloud accessories are kept while the cloud is unreachable
+          if (this.cloudClient && !cloudDevices.some((el) => el.uuid === accessory.context.serialNumber)) {
+            this.removeAccessory(accessory);
+          }
+          break;
+        case 'local':
+          if (!this.localUUIDs.includes(accessory.context.serialNumber)) {
+            this.removeAccessory(accessory);
+          }
+          break;
+        default:
+          // Should never happen
+          this.removeAccessory(accessory);
+          break;
+      }
+    });
+  }
+
+  recoverCloud(attempt = 1) {
+    // Back off exponentially between attempts, from 30 seconds up to a maximum of 30 minutes
+    const delay = Math.min(30000 * 2 ** (attempt - 1), 1800000);
+    this.log.warn('%s %ss.', platformLang.cloudRetry, delay / 1000);
+    this.cloudRecoveryTimeout = setTimeout(async () => {
+      try {
+        const cloudClient = new httpClient(this);
+        this.accountDetails = await cloudClient.login();
+        const cloudDevices = await cloudClient.getDevices();
+        this.cloudClient = cloudClient;
+        this.cloudRecovering = false;
+
+        // Open the shared mqtt connection that the initialised devices will register with
+        this.mqttClient = new mqttClient(this);
+        this.mqttClient.connect(
+          this.accountDetails.mqttDomain || cloudDevices.find((el) => el.domain)?.domain,
+        );
+        this.log('%s.', platformLang.cloudRecovered);
+
+        // Initialise the cloud devices, which also sets up any existing cached accessories
+        this.initialiseCloudDevices(cloudDevices);
+
+        // Local devices could not be set up at startup without the key from the login
+        if (!this.localDevicesInitialised) {
+          this.initialiseLocalDevices();
+        }
+
+        // Now the device list is known, remove any cloud accessories that no longer exist
+        this.removeRedundantAccessories(cloudDevices);
+      } catch (err) {
+        this.log.warn('%s %s.', platformLang.cloudRecoverFail, parseError(err, [
+          platformLang.mfaRequired,
+          platformLang.mfaWrong,
+        ]));
+        if (isCloudOutage(err)) {
+          this.recoverCloud(attempt + 1);
+        } else {
+          this.cloudRecovering = false;
+          this.log.warn('%s.', platformLang.cloudNoRetry);
+        }
+      }
+    }, delay);
+  }
+
   pluginShutdown() {
     // A function that is called when the plugin fails to load or Homebridge restarts
     try {
-      // Close the mqtt connection for the accessories with an open connection
+      // Stop any attempts to reconnect to the cloud and any device list syncs
+      if (this.cloudRecoveryTimeout) {
+        clearTimeout(this.cloudRecoveryTimeout);
+      }
+      if (this.retryTimeout) {
+        clearTimeout(this.retryTimeout);
+      }
+      if (this.syncInterval) {
+        clearInterval(this.syncInterval);
+      }
+
+      // Close the shared mqtt connection for the account and the connection to the local broker
+      if (this.mqttClient) {
+        this.mqttClient.disconnect();
+      }
+      if (this.brokerClient) {
+        this.brokerClient.disconnect();
+      }
+      if (this.brokerServer) {
+        this.brokerServer.stop();
+      }
       if (this.cloudClient) {
         this.devicesInHB.forEach((accessory) => {
-          if (accessory.mqtt) {
-            accessory.mqtt.disconnect();
-          }
-          if (accessory.refreshInterval) {
-            clearInterval(accessory.refreshInterval);
+          if (accessory.poller) {
+            accessory.poller.stop();
           }
           if (accessory.powerInterval) {
             clearInterval(accessory.powerInterval);
           }
         });
-        this.cloudClient.logout();
+
+        // Logging out invalidates the stored session, so a fresh login is needed on restart
+        if (this.config.logoutOnShutdown) {
+          this.cloudClient.logout();
+        }
       }
     } catch (err) {
       // No need to show errors at this point
@@ -465,7 +806,7 @@ export default class {
       const context = {
         channel: 0,
         channelCount: device.channels.length,
-        connection: deviceConf.deviceUrl
+        connection: deviceConf.deviceUrl && deviceConf.connection !== 'broker'
           ? 'local'
           : deviceConf.connection || this.config.connection,
         deviceUrl: deviceConf.deviceUrl,
@@ -479,9 +820,17 @@ export default class {
         userkey: deviceConf.userkey || this.accountDetails.key,
       };
 
-      // Find the correct instance determined by the device model
+      // Find the correct instance determined by the abilities of the device, or else its model
+      const type = await this.getDeviceType(device, context);
+      context.channelCount = device.channels.length;
+
+      // A device of an unknown model that could not be reached is tried again later
+      if (!type && !context.abilities) {
+        this.retryDevice(device);
+        return;
+      }
       let accessory;
-      if (platformConsts.models.switchSingle.includes(device.model)) {
+      if (type === 'switchSingle') {
         /** **************
          SWITCHES (SINGLE)
          *************** */
@@ -506,7 +855,7 @@ export default class {
             accessory.control = new deviceTypes.deviceSwitchSingle(this, accessory);
         }
         /** ************ */
-      } else if (hasProperty(platformConsts.models.switchMulti, device.model)) {
+      } else if (type === 'switchMulti') {
         /** *************
          SWITCHES (MULTI)
          ************** */
@@ -573,7 +922,7 @@ export default class {
           }
         });
         /** *********** */
-      } else if (platformConsts.models.lightDimmer.includes(device.model)) {
+      } else if (type === 'lightDimmer') {
         /** ************
          LIGHTS (DIMMER)
          ************* */
@@ -582,7 +931,7 @@ export default class {
         this.applyAccessoryLogging(accessory);
         accessory.control = new deviceTypes.deviceLightDimmer(this, accessory);
         /** ********** */
-      } else if (platformConsts.models.lightRGB.includes(device.model)) {
+      } else if (type === 'lightRGB') {
         /** *********
          LIGHTS (RGB)
          ********** */
@@ -591,7 +940,7 @@ export default class {
         this.applyAccessoryLogging(accessory);
         accessory.control = new deviceTypes.deviceLightRGB(this, accessory);
         /** ******* */
-      } else if (platformConsts.models.lightCCT.includes(device.model)) {
+      } else if (type === 'lightCCT') {
         /** *********
          LIGHTS (CCT)
          ********** */
@@ -600,11 +949,11 @@ export default class {
         this.applyAccessoryLogging(accessory);
         accessory.control = new deviceTypes.deviceLightCCT(this, accessory);
         /** ******* */
-      } else if (platformConsts.models.garage.includes(device.model)) {
+      } else if (type === 'garage') {
         /** *********
          GARAGE DOORS
          ********** */
-        if (device.model === 'MSG200') {
+        if (device.channels.length > 1) {
           // If a main accessory exists from before then remove it so re-added as hidden
           if (this.devicesInHB.has(hbUUID)) {
             this.removeAccessory(this.devicesInHB.get(hbUUID));
@@ -666,7 +1015,7 @@ export default class {
           accessory.control = new deviceTypes.deviceGarageSingle(this, accessory);
         }
         /** ******* */
-      } else if (platformConsts.models.roller.includes(device.model)) {
+      } else if (type === 'roller') {
         /** ***********
          ROLLING MOTORS
          ************ */
@@ -677,7 +1026,7 @@ export default class {
           ? new deviceTypes.deviceRollerLocation(this, accessory)
           : new deviceTypes.deviceRoller(this, accessory);
         /** ******** */
-      } else if (platformConsts.models.purifier.includes(device.model)) {
+      } else if (type === 'purifier') {
         /** ******
          PURIFIERS
          ******* */
@@ -686,7 +1035,7 @@ export default class {
         this.applyAccessoryLogging(accessory);
         accessory.control = new deviceTypes.devicePurifier(this, accessory);
         /** *** */
-      } else if (platformConsts.models.fan.includes(device.model)) {
+      } else if (type === 'fan') {
         /** *
          FANS
          ** */
@@ -695,7 +1044,7 @@ export default class {
         this.applyAccessoryLogging(accessory);
         accessory.control = new deviceTypes.deviceFan(this, accessory);
         /** *** */
-      } else if (platformConsts.models.diffuser.includes(device.model)) {
+      } else if (type === 'diffuser') {
         /** ******
          DIFFUSERS
          ******* */
@@ -704,7 +1053,7 @@ export default class {
         this.applyAccessoryLogging(accessory);
         accessory.control = new deviceTypes.deviceDiffuser(this, accessory);
         /** *** */
-      } else if (platformConsts.models.humidifier.includes(device.model)) {
+      } else if (type === 'humidifier') {
         /** ********
          HUMIDIFIERS
          ********* */
@@ -713,7 +1062,7 @@ export default class {
         this.applyAccessoryLogging(accessory);
         accessory.control = new deviceTypes.deviceHumidifier(this, accessory);
         /** *** */
-      } else if (platformConsts.models.baby.includes(device.model)) {
+      } else if (type === 'baby') {
         /** **********
          BABY MONITORS
          *********** */
@@ -739,7 +1088,7 @@ export default class {
         // Set up the main accessory for the baby monitor
         accessory.control = new deviceTypes.deviceBaby(this, accessory, accessoryLight);
         /** ******* */
-      } else if (platformConsts.models.thermostat.includes(device.model)) {
+      } else if (type === 'thermostat') {
         /** ********
          THERMOSTATS
          ********* */
@@ -748,7 +1097,7 @@ export default class {
         this.applyAccessoryLogging(accessory);
         accessory.control = new deviceTypes.deviceThermostat(this, accessory);
         /** ***** */
-      } else if (platformConsts.models.hubMain.includes(device.model)) {
+      } else if (type === 'hubMain') {
         /** ********
          SENSOR HUBS
          ********* */
@@ -861,22 +1210,43 @@ export default class {
         /** ****** */
       } else {
         /** *************
-         UNSUPPORTED YET
+         GENERIC DEVICES
          ************* */
-        this.log.warn('[%s] %s:\n%s', device.devName, platformLang.notSupp, JSON.stringify(device));
-        return;
-        /** **************** */
+        // Models the plugin does not know get basic control if they can be switched, with info for a github issue
+        if (type !== 'generic') {
+          const hasToggle = await this.hasToggle(device, context);
+          if (hasToggle === undefined) {
+            this.retryDevice(device);
+            return;
+          }
+          if (!hasToggle) {
+            this.log.warn('[%s] %s:\n%s', device.devName, platformLang.notSupp, JSON.stringify(device));
+            return;
+          }
+          this.log.warn('[%s] %s:\n%s', device.devName, platformLang.notSuppGeneric, JSON.stringify(device));
+        }
+        accessory = this.devicesInHB.get(hbUUID) || this.addAccessory(device);
+        accessory.context = { ...accessory.context, ...context };
+        this.applyAccessoryLogging(accessory);
+        accessory.control = new deviceTypes.deviceGeneric(this, accessory);
+        /** ************* */
       }
 
       // Log the device initialisation
       accessory.log(`${platformLang.devInit} [${device.uuid}}]`);
 
       // Extra debug logging when set, show the device JSON info
+      accessory.logDebug(`${platformLang.devType} [${type}]`);
       accessory.logDebug(`${platformLang.jsonInfo}: ${JSON.stringify(device)}`);
 
       // Update any changes to the accessory to the platform
       this.api.updatePlatformAccessories([accessory]);
       this.devicesInHB.set(accessory.UUID, accessory);
+
+      // In capture mode, every namespace of the device is requested once it has settled
+      if (this.capture) {
+        setTimeout(() => this.capture.probeAbilities(accessory), platformConsts.capture.probeDelay);
+      }
     } catch (err) {
       // Catch any errors during device initialisation
       const eText = parseError(err, [
@@ -888,6 +1258,86 @@ export default class {
     }
   }
 
+  async getDeviceType(device, context) {
+    // A type chosen in the config overrides any other
+    if (context.options.deviceType) {
+      return context.options.deviceType;
+    }
+    const existing = [...this.devicesInHB.values()]
+      .find((el) => el.context.serialNumber === device.uuid && el.context.abilities);
+    if (existing) {
+      // The abilities are only requested on first contact with the device, then kept in the accessory context
+      context.abilities = existing.context.abilities;
+      if (device.channels.length === 0 && existing.context.channelCount > 1) {
+        device.channels = [...Array(existing.context.channelCount)].map(() => ({}));
+      }
+    } else {
+      // Nothing is set up for the device yet, so the request is sent for a stand-in accessory
+      const probe = { context: { ...context }, displayName: device.devName };
+      this.applyAccessoryLogging(probe);
+      try {
+        const transport = this.getTransport(probe);
+        const res = await transport.request('Appliance.System.Ability');
+        context.abilities = res.payload.ability || {};
+
+        // A local device of a model the plugin does not know reports its channels in its status
+        if (device.channels.length === 0 && !getModelType(device.model)) {
+          const resAll = await transport.request('Appliance.System.All');
+          const { digest = {} } = resAll.payload.all || {};
+          const channels = [].concat(digest.togglex || digest.garageDoor || []).map((el) => el.channel || 0);
+          if (Math.max(0, ...channels) > 0) {
+            device.channels = [...Array(Math.max(...channels) + 1)].map(() => ({}));
+          }
+        }
+      } catch (err) {
+        probe.logWarn(`${platformLang.abilityFail} ${parseError(err)}`);
+      }
+    }
+
+    // The abilities decide the type, and the lists of known models are the fallback
+    return (context.abilities && getAbilityType(context.abilities, device.channels.length))
+      || getModelType(device.model);
+  }
+
+  retryDevice(device) {
+    // A device that could not be set up is tried again on the next device list sync
+    this.retryDevices.set(device.uuid, device);
+    this.log.warn('[%s] %s.', device.devName, platformLang.devRetry);
+
+    // Without a device list sync, such as with only local devices, try again after the same interval
+    if (!this.syncInterval && !this.retryTimeout) {
+      this.retryTimeout = setTimeout(() => {
+        this.retryTimeout = false;
+        this.retryFailedDevices();
+      }, (this.config.deviceListRefreshRate || platformConsts.defaultValues.deviceListRefreshRate) * 1000);
+    }
+  }
+
+  retryFailedDevices() {
+    const devices = [...this.retryDevices.values()];
+    this.retryDevices.clear();
+    devices.forEach((device) => this.initialiseDevice(device));
+  }
+
+  async hasToggle(device, context) {
+    // Without a toggle the device would only be a switch that does nothing, so check the abilities or status
+    if (context.abilities && Object.keys(context.abilities).length > 0) {
+      return hasProperty(context.abilities, 'Appliance.Control.ToggleX')
+        || hasProperty(context.abilities, 'Appliance.Control.Toggle');
+    }
+    const probe = { context: { ...context }, displayName: device.devName };
+    this.applyAccessoryLogging(probe);
+    try {
+      const res = await this.getTransport(probe).request('Appliance.System.All');
+      const { digest = {} } = res.payload.all || {};
+      return Boolean(digest.togglex || digest.toggle);
+    } catch (err) {
+      // A device that cannot be reached may still have a toggle, so is checked again later
+      probe.logWarn(`${platformLang.reqFailed} ${parseError(err)}`);
+      return undefined;
+    }
+  }
+
   addAccessory(device, hidden = false) {
     // Add an accessory to Homebridge
     try {
@@ -989,6 +1439,22 @@ export default class {
     }
   }
 
+  registerMqttDevice(accessory) {
+    switch (accessory.context.connection) {
+      case 'broker':
+        if (!this.brokerClient) {
+          throw new Error(platformLang.noBroker);
+        }
+        this.brokerClient.addDevice(accessory);
+        break;
+      case 'local':
+        break;
+      default:
+        this.mqttClient.addDevice(accessory);
+        break;
+    }
+  }
+
   removeAccessory(accessory) {
     try {
       // Remove an accessory from Homebridge
@@ -996,6 +1462,17 @@ export default class {
         this.api.unregisterPlatformAccessories(plugin.name, plugin.alias, [accessory]);
       }
       this.devicesInHB.delete(accessory.UUID);
+
+      // Stop any polling for the accessory
+      if (accessory.poller) {
+        accessory.poller.stop();
+      }
+      if (accessory.powerInterval) {
+        clearInterval(accessory.powerInterval);
+      }
+      if (accessory.mqtt) {
+        accessory.mqtt.removeDevice(accessory);
+      }
       this.log('[%s] %s.', accessory.displayName, platformLang.devRemove);
     } catch (err) {
       // Catch any errors during remove
@@ -1003,121 +1480,238 @@ export default class {
     }
   }
 
-  // eslint-disable-next-line class-methods-use-this
-  async sendUpdate(accessory, toSend) {
-    // Variable res is the response from either the cloud mqtt update or local http request
-    let res;
+  getTransport(accessory) {
+    // The transport is chosen by the connection type, a fake one can be set on the accessory for testing
+    if (!accessory.transport) {
+      switch (accessory.context.connection) {
+        case 'broker':
+          accessory.transport = new localMqttTransport(this, accessory);
+          break;
+        case 'cloud':
+          accessory.transport = new cloudMqttTransport(this, accessory);
+          break;
+        case 'local':
+          accessory.transport = new localHttpTransport(this, accessory);
+          break;
+        default:
+          accessory.transport = new hybridTransport(this, accessory);
+          break;
+      }
+    }
+    return accessory.transport;
+  }
 
+  async sendUpdate(accessory, toSend) {
     // Generate the method variable determined from an empty payload or not
-    toSend.method = toSend.method || (Object.keys(toSend.payload).length === 0 ? 'GET' : 'SET');
-
-    // Always try local control first, even for cloud devices
+    const method = toSend.method || (Object.keys(toSend.payload).length === 0 ? 'GET' : 'SET');
+
+    // The poller of the device adapts to whether the device can be reached
+    // Activity is reported by the queue of the device, as a SET can also be a poll
+    const poller = this.pollers.get(accessory.context.serialNumber);
+    const { namespace } = toSend;
+    if (this.capture) {
+      this.capture.record(accessory, 'request', { namespace, method, payload: toSend.payload || {} });
+    }
     try {
-      // Check the user has this mode turned on
-      if (accessory.context.connection === 'cloud') {
-        throw new Error(platformLang.noHybridMode);
+      const res = method === 'SET' && toSend.confirm && accessory.context.options?.confirmWrites
+        ? await this.sendConfirmedUpdate(accessory, toSend)
+        : await this.getTransport(accessory).request(namespace, method, toSend.payload || {});
+      if (poller) {
+        poller.reportSuccess();
+      }
+      if (this.capture) {
+        this.capture.record(accessory, 'response', { namespace, transport: res.transport, data: res.data });
       }
+      return res;
+    } catch (err) {
+      if (poller && (err instanceof TransportNetworkError || err instanceof TransportTimeoutError)) {
+        poller.reportFailure();
+      }
+      if (this.capture) {
+        this.capture.record(accessory, 'error', {
+          namespace,
+          method,
+          transport: err.transport,
+          error: err.message,
+          data: err.data,
+        });
+      }
+      throw err;
+    }
+  }
 
-      // Check we have the user key
-      if (!accessory.context.userkey) {
-        throw new Error(platformLang.noUserKey);
+  async sendConfirmedUpdate(accessory, toSend) {
+    // The new state is confirmed by the reply, a push or else a request to the device
+    // The push and request use the namespace given, by default the one that was set
+    // A device that reports the change in other namespaces can give those for the push
+    const {
+      isConfirmed,
+      namespace = toSend.namespace,
+      payload = {},
+      pushNamespaces = [namespace],
+    } = toSend.confirm;
+    const transport = this.getTransport(accessory);
+
+    // Listen for a push before sending, as it can arrive before the reply to the request
+    const waiter = accessory.context.connection === 'local'
+      ? false
+      : this.addPushWaiter(accessory, pushNamespaces, isConfirmed);
+    let res;
+    try {
+      res = await transport.request(toSend.namespace, 'SET', toSend.payload);
+      if (isConfirmed(res.payload) || (waiter && await waiter.promise)) {
+        accessory.logDebug(`${platformLang.writeConfirmed} [${namespace}]`);
+        return res;
+      }
+    } finally {
+      if (waiter) {
+        this.removePushWaiter(accessory, waiter);
       }
+    }
 
-      // Certain models aren't supported for local control
-      if (platformConsts.noLocalControl.includes(accessory.context.model)) {
-        throw new Error(platformLang.notSuppLocal);
+    // Without a matching reply or push, request the state from the device
+    const state = await transport.request(namespace, 'GET', payload);
+    if (!isConfirmed(state.payload)) {
+      // Update HomeKit with the state the device reports, rather than the value that was set
+      if (accessory.control?.receiveUpdate) {
+        accessory.control.receiveUpdate(state.data);
       }
+      throw new TransportConfirmError(
+        `${platformLang.writeNotConfirmed} ${JSON.stringify(state.payload)}`,
+        { data: state.data, transport: state.transport },
+      );
+    }
+    accessory.logDebug(`${platformLang.writeConfirmed} [${namespace}]`);
+    return res;
+  }
 
-      // Obtain the IP address, either manually configured or from Meross polling data
-      const ipAddress = accessory.context.deviceUrl || accessory.context.ipAddress;
+  addPushWaiter(accessory, namespaces, isMatch) {
+    // The promise resolves with the first matching push from the device, or false if none arrives in time
+    const { serialNumber } = accessory.context;
+    const waiter = { isMatch, namespaces };
+    waiter.promise = new Promise((resolve) => {
+      waiter.resolve = resolve;
+      waiter.timeout = setTimeout(() => resolve(false), 3000);
+    });
+    this.pushWaiters.set(serialNumber, [...(this.pushWaiters.get(serialNumber) || []), waiter]);
+    return waiter;
+  }
 
-      // Check the IP address exists
-      if (!ipAddress) {
-        throw new Error(platformLang.noIP);
-      }
+  removePushWaiter(accessory, waiter) {
+    const { serialNumber } = accessory.context;
+    const waiters = (this.pushWaiters.get(serialNumber) || []).filter((el) => el !== waiter);
+    clearTimeout(waiter.timeout);
+    if (waiters.length > 0) {
+      this.pushWaiters.set(serialNumber, waiters);
+    } else {
+      this.pushWaiters.delete(serialNumber);
+    }
+  }
 
-      // Generate the timestamp, messageId and sign from the userkey
-      const timestamp = Math.floor(Date.now() / 1000);
-      const messageId = generateRandomString(32);
-      const sign = createHash('md5')
-        .update(messageId + accessory.context.userkey + timestamp)
-        .digest('hex');
-
-      // Generate the payload to send
-      const data = {
-        header: {
-          from: `http://${ipAddress}/config`,
-          messageId,
-          method: toSend.method,
-          namespace: toSend.namespace,
-          payloadVersion: 1,
-          sign,
-          timestamp,
-          triggerSrc: 'iOSLocal',
-          uuid: accessory.context.serialNumber,
-        },
-        payload: toSend.payload || {},
-      };
+  receivePush(accessory, msg) {
+    // A push of a batch of replies is not a sign the device is in use
+    const poller = this.pollers.get(accessory.context.serialNumber);
+    if (poller && msg.header?.namespace !== 'Appliance.Control.Multiple') {
+      poller.reportActivity();
+    }
+    if (this.capture) {
+      this.capture.record(accessory, 'push', { namespace: msg.header?.namespace, data: msg });
+    }
 
-      // Log the update if user enabled
-      accessory.logDebug(`${platformLang.sendUpdate}: ${JSON.stringify(data)}`);
-
-      // Send the request to the device
-      res = await axios({
-        url: `http://${ipAddress}/config`,
-        method: 'post',
-        headers: { 'content-type': 'application/json' },
-        data,
-        responseType: 'json',
-        timeout: toSend.method === 'GET' || accessory.context.connection === 'local' ? 9000 : 4000,
-      });
+    // Pass the push to any write waiting for it to be confirmed, then to the device class
+    (this.pushWaiters.get(accessory.context.serialNumber) || [])
+      .filter((waiter) => waiter.namespaces.includes(msg.header.namespace) && waiter.isMatch(msg.payload))
+      .forEach((waiter) => waiter.resolve(msg));
+    if (accessory.control?.receiveUpdate) {
+      accessory.control.receiveUpdate(msg);
+    }
+  }
 
-      // Check the response properties based on whether it is a control or request update
-      switch (toSend.method) {
-        case 'SET': {
-          // Check the response
-          if (!res.data || !res.data.header || res.data.header.method === 'ERROR') {
-            throw new Error(`${platformLang.reqFail} - ${JSON.stringify(res.data.payload.error)}`);
-          }
-          break;
+  async sendMultiple(accessory, requests) {
+    // Devices that support it get all the requests in one Appliance.Control.Multiple message
+    const { context } = accessory;
+    if (requests.length > 1 && context.multipleSupport !== false) {
+      let res;
+      try {
+        const timestamp = Math.floor(Date.now() / 1000);
+        res = await this.sendUpdate(accessory, {
+          namespace: 'Appliance.Control.Multiple',
+          method: 'SET',
+          payload: {
+            multiple: requests.map((request) => {
+              const messageId = generateRandomString(32);
+              return {
+                header: {
+                  messageId,
+                  method: request.method || 'GET',
+                  namespace: request.namespace,
+                  payloadVersion: 1,
+                  sign: createHash('md5').update(messageId + context.userkey + timestamp).digest('hex'),
+                  timestamp,
+                },
+                payload: request.payload || {},
+              };
+            }),
+          },
+        });
+        if (!Array.isArray(res.payload?.multiple)) {
+          throw new TransportResponseError(platformLang.invalidResponse, { data: res.data });
         }
-        default: { // GET
-          // Validate the response, checking for payload property
-          if (!res.data || !res.data.payload) {
-            throw new Error(platformLang.invalidResponse);
-          }
-
-          // Check we are sending the command to the correct device
-          if (
-            res.data.header.from
-            !== `/appliance/${accessory.context.serialNumber}/publish`
-          ) {
-            throw new Error(platformLang.wrongDevice);
-          }
-          break;
+        this.setMultipleSupport(accessory, true);
+      } catch (err) {
+        // Only an error reply means the device does not support it, a device that is offline or slow
+        // to reply is checked again on a later poll
+        if (!(err instanceof TransportResponseError)) {
+          throw err;
         }
+        accessory.logDebug(platformLang.multipleUnsupported);
+        this.setMultipleSupport(accessory, false);
+        res = false;
       }
-    } catch (err) {
-      if (accessory.context.connection === 'local') {
-        // An error occurred and cloud mode is disabled so report the error back
-        throw err;
-      } else {
-        // An error occurred, so we can try sending the request via the cloud
-        const eText = parseError(err, [
-          platformLang.noHybridMode,
-          platformLang.notSuppLocal,
-          platformLang.noUserKey,
-          platformLang.noIP,
-          platformLang.wrongDevice,
-        ]);
-        accessory.logDebug(`${platformLang.revertToCloud} ${eText}`);
 
-        // Send the update via cloud mqtt
-        res = await accessory.mqtt.sendUpdate(accessory, toSend);
+      // Match the replies to the requests by namespace, in the same format as a single request
+      // A failed reply is not a sign the device does not support batching, so only fails the request
+      if (res) {
+        const replies = res.payload.multiple;
+        return requests.map((request, index) => {
+          const reply = replies.find((el) => el.header?.namespace === request.namespace);
+          if (!reply?.payload || reply.header.method === 'ERROR') {
+            if (index === 0) {
+              throw new TransportResponseError(platformLang.invalidResponse, { data: res.data });
+            }
+            return undefined;
+          }
+          return {
+            data: reply,
+            header: reply.header,
+            payload: reply.payload,
+            transport: res.transport,
+          };
+        });
       }
     }
 
-    // Return the response
-    return res;
+    // Otherwise send the requests one by one, where only a failure of the first is passed on
+    return requests.reduce(async (previous, request, index) => {
+      const results = await previous;
+      try {
+        return [...results, await this.sendUpdate(accessory, request)];
+      } catch (err) {
+        if (index === 0) {
+          throw err;
+        }
+        accessory.logDebugWarn(`${platformLang.reqFailed} ${parseError(err)}`);
+        return [...results, undefined];
+      }
+    }, Promise.resolve([]));
+  }
+
+  setMultipleSupport(accessory, isSupported) {
+    // The result is remembered for every accessory of the device, so is only checked once
+    [accessory, ...this.devicesInHB.values()]
+      .filter((el) => el.context.serialNumber === accessory.context.serialNumber)
+      .forEach((el) => {
+        el.context.multipleSupport = isSupported;
+      });
   }
 }
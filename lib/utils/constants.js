@@ -3,14 +3,25 @@ export default {
     name: 'Meross',
     username: '',
     password: '',
+    mfaCode: '',
     userkey: '',
     ignoreHKNative: false,
     ignoreMatter: false,
     connection: 'hybrid',
-    domain: 'iot.meross.com',
+    domain: '',
+    proxy: '',
+    mqttTransport: 'auto',
+    brokerUrl: '',
+    brokerUsername: '',
+    brokerPassword: '',
+    embeddedBroker: false,
+    embeddedBrokerPort: 8883,
     disableDeviceLogging: false,
+    logoutOnShutdown: false,
+    captureMode: false,
     cloudRefreshRate: 300,
     refreshRate: 5,
+    deviceListRefreshRate: 600,
     singleDevices: [],
     multiDevices: [],
     lightDevices: [],
@@ -30,17 +41,27 @@ export default {
     brightnessStep: 1,
     cloudRefreshRate: 0,
     connection: 'hybrid',
+    deviceListRefreshRate: 600,
+    domain: 'iot.meross.com',
+    embeddedBrokerPort: 8883,
     garageDoorOpeningTime: 20,
     inUsePowerThreshold: 0,
     lowBattThreshold: 20,
+    mqttTransport: 'auto',
     refreshRate: 5,
     showAs: 'default',
   },
 
+  maxValues: {
+    cloudRefreshRate: 600,
+    refreshRate: 600,
+  },
+
   minValues: {
     adaptiveLightingShift: -1,
     brightnessStep: 1,
     cloudRefreshRate: 30,
+    deviceListRefreshRate: 60,
     garageDoorOpeningTime: 1,
     inUsePowerThreshold: 0,
     lowBattThreshold: 1,
@@ -55,9 +76,13 @@ export default {
       'deviceUrl',
       'ignoreDevice',
       'model',
+      'deviceType',
       'showAs',
       'inUsePowerThreshold',
       'temperatureSource',
+      'confirmWrites',
+      'cloudRefreshRate',
+      'refreshRate',
       'firmwareRevision',
       'userkey',
     ],
@@ -68,8 +93,12 @@ export default {
       'deviceUrl',
       'ignoreDevice',
       'model',
+      'deviceType',
       'showAs',
       'hideChannels',
+      'confirmWrites',
+      'cloudRefreshRate',
+      'refreshRate',
       'firmwareRevision',
       'userkey',
     ],
@@ -80,8 +109,12 @@ export default {
       'deviceUrl',
       'ignoreDevice',
       'model',
+      'deviceType',
       'brightnessStep',
       'adaptiveLightingShift',
+      'confirmWrites',
+      'cloudRefreshRate',
+      'refreshRate',
       'firmwareRevision',
       'userkey',
     ],
@@ -92,6 +125,9 @@ export default {
       'deviceUrl',
       'ignoreDevice',
       'model',
+      'deviceType',
+      'cloudRefreshRate',
+      'refreshRate',
       'firmwareRevision',
       'userkey',
     ],
@@ -102,7 +138,10 @@ export default {
       'deviceUrl',
       'ignoreDevice',
       'model',
+      'deviceType',
       'brightnessStep',
+      'cloudRefreshRate',
+      'refreshRate',
       'firmwareRevision',
       'userkey',
     ],
@@ -113,6 +152,9 @@ export default {
       'deviceUrl',
       'ignoreDevice',
       'model',
+      'deviceType',
+      'cloudRefreshRate',
+      'refreshRate',
       'firmwareRevision',
       'userkey',
     ],
@@ -123,6 +165,9 @@ export default {
       'deviceUrl',
       'ignoreDevice',
       'model',
+      'deviceType',
+      'cloudRefreshRate',
+      'refreshRate',
       'firmwareRevision',
       'userkey',
     ],
@@ -133,8 +178,12 @@ export default {
       'deviceUrl',
       'ignoreDevice',
       'model',
+      'deviceType',
       'garageDoorOpeningTime',
       'hideChannels',
+      'confirmWrites',
+      'cloudRefreshRate',
+      'refreshRate',
       'firmwareRevision',
       'userkey',
     ],
@@ -145,8 +194,12 @@ export default {
       'deviceUrl',
       'ignoreDevice',
       'model',
+      'deviceType',
       'reversePolarity',
       'showAs',
+      'confirmWrites',
+      'cloudRefreshRate',
+      'refreshRate',
       'firmwareRevision',
       'userkey',
     ],
@@ -157,6 +210,9 @@ export default {
       'deviceUrl',
       'ignoreDevice',
       'model',
+      'deviceType',
+      'cloudRefreshRate',
+      'refreshRate',
       'firmwareRevision',
       'userkey',
     ],
@@ -167,8 +223,28 @@ export default {
       'model',
       'ignoreSubdevices',
       'lowBattThreshold',
+      'cloudRefreshRate',
+      'refreshRate',
+    ],
+    connection: ['default', 'cloud', 'local', 'broker'],
+    deviceType: [
+      'default',
+      'switchSingle',
+      'switchMulti',
+      'lightDimmer',
+      'lightRGB',
+      'lightCCT',
+      'fan',
+      'diffuser',
+      'purifier',
+      'humidifier',
+      'garage',
+      'roller',
+      'baby',
+      'thermostat',
+      'generic',
     ],
-    connection: ['default', 'cloud', 'local'],
+    mqttTransport: ['default', 'mqtts', 'wss'],
     showAs: ['default', 'cooler', 'heater', 'outlet', 'purifier', 'door', 'window'], // 'switch' and 'blind' are considered as default
   },
 
@@ -335,5 +411,55 @@ export default {
 
   noLocalControl: ['MSH300', 'MSH300HK'],
 
-  httpRetryCodes: ['ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED'],
+  pollSuppressTime: 5000,
+
+  adaptivePolling: {
+    activeTime: 60000,
+    idleFactor: 3,
+  },
+
+  capture: {
+    maxSize: 5242880,
+    probeDelay: 30000,
+    skipNamespaces: [
+      'Appliance.Control.Bind',
+      'Appliance.Control.Unbind',
+      'Appliance.Control.Upgrade',
+      'Appliance.System.Clock',
+      'Appliance.System.Factory',
+      'Appliance.System.Reboot',
+    ],
+  },
+
+  discovery: {
+    concurrency: 32,
+    interval: 600000,
+    minPrefix: 22,
+    timeout: 2000,
+  },
+
+  hybridRouting: {
+    failureThreshold: 3,
+    minSuccessRate: 0.5,
+    probeInterval: 60000,
+    sampleSize: 20,
+  },
+
+  httpRetry: {
+    maxAttempts: 5,
+    maxDelay: 60000,
+    minDelay: 5000,
+    timeout: 10000,
+  },
+
+  httpRetryCodes: ['ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH'],
+
+  mfaErrorCodes: {
+    required: 1033,
+    wrong: 1032,
+  },
+
+  redirectCode: 1030,
+
+  tokenErrorCodes: [1019, 1022, 1200],
 };
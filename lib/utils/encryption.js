@@ -0,0 +1,39 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  createECDH,
+  createHash,
+  randomBytes,
+} from 'crypto';
+
+// Devices use an elliptic curve key exchange on the p-256 curve
+const createKeyPair = () => {
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { ecdh, publicKey: ecdh.getPublicKey('base64') };
+};
+
+// The aes key is the sha256 hash of the shared secret
+const deriveKey = (ecdh, devicePublicKey) => createHash('sha256')
+  .update(ecdh.computeSecret(Buffer.from(devicePublicKey, 'base64')))
+  .digest();
+
+// Messages are sent as base64 of the random iv followed by the aes-256-cbc encrypted json
+const encrypt = (key, text) => {
+  const iv = randomBytes(16);
+  const cipher = createCipheriv('aes-256-cbc', key, iv);
+  return Buffer.concat([iv, cipher.update(text, 'utf8'), cipher.final()]).toString('base64');
+};
+
+const decrypt = (key, text) => {
+  const buffer = Buffer.from(text, 'base64');
+  const decipher = createDecipheriv('aes-256-cbc', key, buffer.subarray(0, 16));
+  return Buffer.concat([decipher.update(buffer.subarray(16)), decipher.final()]).toString('utf8');
+};
+
+export {
+  createKeyPair,
+  decrypt,
+  deriveKey,
+  encrypt,
+};
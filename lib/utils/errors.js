@@ -0,0 +1,62 @@
+import { TimeoutError } from 'p-timeout'; // eslint-disable-line max-classes-per-file
+
+// Base class for any failed request to the Meross cloud
+class CloudError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+// Meross could not be reached, even after retrying (details: code, status)
+class CloudNetworkError extends CloudError {}
+
+// Meross replied, but not with what the caller expected (details: apiStatus, info, data)
+class CloudResponseError extends CloudError {}
+
+// Meross rejected the token as expired or invalid (details: apiStatus, info)
+class CloudTokenError extends CloudError {}
+
+// Base class for any failed request to a device through a transport (details: transport)
+class TransportError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+// The device could not be reached through the transport (details: code, status)
+class TransportNetworkError extends TransportError {}
+
+// The device replied with an error or an unexpected message (details: data)
+class TransportResponseError extends TransportError {}
+
+// The device accepted a write, but then reported a different state to the one that was set (details: data)
+class TransportConfirmError extends TransportResponseError {}
+
+// The device did not reply in time, this extends the p-timeout error that the device queues also throw
+class TransportTimeoutError extends TimeoutError {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+// The transport cannot be used for the device, for example with no ip address or no key
+class TransportUnavailableError extends TransportError {}
+
+export {
+  CloudError,
+  CloudNetworkError,
+  CloudResponseError,
+  CloudTokenError,
+  TransportConfirmError,
+  TransportError,
+  TransportNetworkError,
+  TransportResponseError,
+  TransportTimeoutError,
+  TransportUnavailableError,
+};
@@ -1,3 +1,7 @@
+import { TimeoutError } from 'p-timeout';
+import platformConsts from './constants.js';
+import { CloudError, CloudNetworkError } from './errors.js';
+
 const encodeParams = (params) => Buffer.from(JSON.stringify(params)).toString('base64');
 
 const generateRandomString = (length) => {
@@ -9,8 +13,73 @@ const generateRandomString = (length) => {
   return nonce;
 };
 
+// Checks a garage door payload, from a reply, push or request, shows the door was triggered or is as set
+const hasGarageState = (data, payload) => [].concat(data.state || [])
+  .some((el) => el.channel === payload.state.channel && (el.execute === 1 || el.open === payload.state.open));
+
+// Checks a roller payload, from a push or the status of the device, shows the roller at the position set
+// or moving towards it (state 1 is opening and 2 is closing), where a roller already there is idle (state 0)
+const hasRollerState = (data, position, direction) => {
+  const digest = data.all?.digest || data;
+  const state = [].concat(digest.state || []).find((el) => (el.channel || 0) === 0);
+  const current = [].concat(digest.position || []).find((el) => (el.channel || 0) === 0);
+  return current?.position === position || state?.state === direction;
+};
+
 const hasProperty = (obj, prop) => Object.prototype.hasOwnProperty.call(obj, prop);
 
+// Checks a toggle or togglex payload, from a push or a reply, has the channel and state that were set
+const hasToggleState = (data, payload) => {
+  const [set] = [].concat(payload.togglex || payload.toggle);
+  return [].concat(data.togglex || data.toggle || [])
+    .some((el) => (el.channel || 0) === (set.channel || 0) && el.onoff === set.onoff);
+};
+
+// Picks the type of device from the namespaces of its Appliance.System.Ability reply, false if none match
+const getAbilityType = (ability, channelCount) => {
+  const has = (namespace) => hasProperty(ability, namespace);
+  if (has('Appliance.Hub.SubdeviceList')) {
+    return 'hubMain';
+  }
+  if (has('Appliance.Control.Thermostat.Mode')) {
+    return 'thermostat';
+  }
+  if (has('Appliance.Control.Mp3')) {
+    return 'baby';
+  }
+  if (has('Appliance.GarageDoor.State')) {
+    return 'garage';
+  }
+  if (has('Appliance.RollerShutter.State') || has('Appliance.RollerShutter.Position')) {
+    return 'roller';
+  }
+  if (has('Appliance.Control.Diffuser.Spray')) {
+    return 'diffuser';
+  }
+  if (has('Appliance.Control.Spray')) {
+    return 'humidifier';
+  }
+  if (has('Appliance.Control.Fan')) {
+    return has('Appliance.Control.PhysicalLock') ? 'purifier' : 'fan';
+  }
+  if (has('Appliance.Control.Light')) {
+    // The capacity bits show if the light supports colour (1) and colour temperature (2)
+    const capacity = ability['Appliance.Control.Light']?.capacity || 0;
+    if (capacity % 2 === 1) {
+      return 'lightRGB';
+    }
+    return Math.floor(capacity / 2) % 2 === 1 ? 'lightCCT' : 'lightDimmer';
+  }
+  if (has('Appliance.Control.ToggleX') || has('Appliance.Control.Toggle')) {
+    return channelCount > 1 ? 'switchMulti' : 'switchSingle';
+  }
+  return false;
+};
+
+// Picks the type of device from the lists of known models, false if the model is not known
+const getModelType = (model) => Object.entries(platformConsts.models)
+  .find(([type, models]) => type !== 'hubSub' && (Array.isArray(models) ? models.includes(model) : hasProperty(models, model)))?.[0] || false;
+
 const parseError = (err, hideStack = []) => {
   let toReturn = err.message;
   if (err?.stack?.length > 0 && !hideStack.includes(err.message)) {
@@ -22,6 +91,11 @@ const parseError = (err, hideStack = []) => {
   return toReturn;
 };
 
+// Checks a failed cloud request was an outage, rather than Meross rejecting the account, password or mfa code
+const isCloudOutage = (err) => err instanceof CloudNetworkError
+  || err instanceof TimeoutError
+  || (err instanceof CloudError && !err.apiStatus);
+
 const sleep = (ms) => new Promise((resolve) => {
   setTimeout(resolve, ms);
 });
@@ -29,7 +103,13 @@ const sleep = (ms) => new Promise((resolve) => {
 export {
   encodeParams,
   generateRandomString,
+  getAbilityType,
+  getModelType,
+  hasGarageState,
   hasProperty,
+  hasRollerState,
+  hasToggleState,
+  isCloudOutage,
   parseError,
   sleep,
 };
@@ -1,8 +1,18 @@
 export default {
+  abilityFail: 'could not request the abilities of the device so its type is chosen by model as',
   accNotFound: 'accessory not found',
   alDisabled: 'adaptive lighting disabled due to change of colour detected',
   beta: 'You are using a beta version of the plugin - you will experience more logging than normal',
   brand: 'Meross Technology',
+  brokerClosed: 'Local mqtt broker connection closed',
+  brokerConnected: 'Local mqtt broker connected',
+  brokerConnErr: 'Local mqtt broker connection error',
+  brokerSubErr: 'Local mqtt broker subscribe error',
+  captureFail: 'Could not write to the capture file as',
+  captureOn: 'Capture mode is on, messages to and from devices are recorded with credentials removed to',
+  captureProbe: 'requesting every namespace of the device for the capture file',
+  captureProbeDone: 'finished requesting every namespace of the device for the capture file',
+  captureProbeFail: 'could not request every namespace of the device as',
   cfgDef: 'is not a valid number so using default of',
   cfgDup: 'will be ignored since another entry with this ID already exists',
   cfgIgn: 'is not configured correctly so ignoring',
@@ -12,6 +22,11 @@ export default {
   cfgMoveEntry: 'configuration entry should be moved to appropriate section in the UI',
   cfgRmv: 'is unused and can be removed',
   cfgQts: 'should not have quotes around its entry',
+  cloudNoRetry: 'The Meross account was rejected so the cloud will not be tried again until Homebridge restarts',
+  cloudNotConnected: 'cloud mqtt is not connected',
+  cloudRecovered: 'Cloud connection has been restored',
+  cloudRecoverFail: 'Cloud connection could not be restored as',
+  cloudRetry: 'Will try to connect to the cloud again in',
   complete: '✓ Setup complete',
   curBright: 'current brightness',
   curCool: 'current cooling',
@@ -40,6 +55,7 @@ export default {
   curVol: 'current volume',
   curVolt: 'current voltage',
   curWindow: 'current window',
+  deviceUnreachable: 'device could not be reached',
   devAdd: 'has been added to Homebridge',
   devInit: 'initialised with id',
   devInitOpts: 'initialising with options',
@@ -48,12 +64,23 @@ export default {
   devNotInit: 'could not be initialised as',
   devNotRemove: 'could not be removed from Homebridge as',
   devRemove: 'has been removed from Homebridge',
+  devRetry: 'could not be reached to be set up, so will be tried again later',
   devSubInit: 'subdevice initialised with id',
+  devType: 'device type',
   disabling: 'Disabling plugin',
   disablingCloud: 'Disabling cloud client as',
   disablingPower: 'disabling power readings as',
+  embeddedAuthFail: 'Embedded mqtt broker rejected login from',
+  embeddedClient: 'Embedded mqtt broker client connected',
+  embeddedDenied: 'Embedded mqtt broker denied a device access to another topic',
+  embeddedListening: 'Embedded mqtt broker listening on port',
+  embeddedStartErr: 'Embedded mqtt broker could not be started as',
+  encryptDetected: 'device requires encrypted local requests, negotiating a key',
+  encryptFail: 'response could not be decrypted with the negotiated key',
+  encryptKeyFail: 'device did not return a public key for encryption',
+  encryptRecheck: 'encrypted local requests keep failing, checking again if the device needs encryption',
   hbVersionFail: 'Your version of Homebridge is too low - update to v1.6',
-  httpRetry: 'Unable to reach Meross, retrying in 30 seconds',
+  httpRetry: 'Unable to reach Meross, retrying in',
   identify: 'identify button pressed',
   incSubDevices: 'incoming subdevices',
   incMQTT: 'incoming mqtt',
@@ -67,9 +94,21 @@ export default {
   loginFail: 'login failed',
   logout: 'Meross session closed and logged out',
   merossKey: 'Meross Key',
+  mfaRequired: 'multi-factor authentication is enabled on this Meross account, log in with a code from your authenticator app on the Account page of the plugin settings',
+  mfaWrong: 'the multi-factor authentication code was not accepted, log in with a new code on the Account page of the plugin settings',
   missingCreds: 'username and password not supplied in config',
+  mqttClosed: 'Cloud mqtt connection closed',
+  mqttConnErr: 'Cloud mqtt connection error',
+  mqttConnected: 'Cloud mqtt connected via',
+  mqttFallback: 'Cloud mqtt unable to connect, switching transport to',
+  mqttMsgErr: 'Cloud mqtt message could not be parsed',
+  mqttProxy: 'Cloud mqtt connecting via proxy',
+  mqttReconnect: 'Cloud mqtt connection reconnecting',
+  mqttSubDone: 'Cloud mqtt subscribe complete',
+  mqttSubErr: 'Cloud mqtt subscribe error',
+  multipleUnsupported: 'device does not support batched requests, sending them separately',
+  noBroker: 'local broker connection is configured but no broker url has been set',
   noCredentials: 'Neither of username and password nor user key has been configured, or there was an issue obtaining cloud devices',
-  noHybridMode: 'cloud control is forced',
   noInitHKIgnore: 'not initialising cloud device as matched as HomeKit native model',
   noInitIgnore: 'not initialising cloud device as ignored or configured locally',
   noInitMatterIgnore: 'not initialising cloud device as matched as Matter model',
@@ -77,26 +116,54 @@ export default {
   noResponse: 'no response received from Meross server',
   notAuth: 'not authenticated',
   notSupp: 'is not supported, do create a github issue https://bit.ly/hb-meross-issues with info',
+  notSuppGeneric: 'is not a known model so has been set up with basic control, do create a github issue https://bit.ly/hb-meross-issues with info',
   notSuppLocal: 'device does not support local control',
   noUserKey: 'user key has not been configured',
+  pollInterval: 'polling interval changed to',
   pluginNotConf: 'Plugin has not been configured',
   powerFail: 'failed to request power as',
+  reauthFail: 'Could not log in to Meross again as',
   refFailed: 'failed to refresh status as',
+  rediscoverConfig: 'update the deviceUrl of this device in the plugin config to the new ip address',
+  rediscoverFail: 'could not find the device on the local network',
+  rediscoverStart: 'device not responding, searching the local network for its new ip address',
+  rediscovered: 'device found on the local network at new ip address',
+  regionDomains: 'Using Meross api and mqtt domains',
+  regionRedirect: 'Meross account belongs to another region, using domain',
   repOffline: 'has been reported [offline]',
   repOnline: 'has been reported [online]',
   reqFail: 'request failed',
   reqFailed: 'failed to request status as',
   reqFailedSubs: 'failed to request subdevices as',
   revertToCloud: 'reverting to cloud control as',
+  revertToLocal: 'reverting to local control as',
+  routeChosen: 'hybrid requests now sent via',
+  routeOpen: 'hybrid route is failing and will be skipped',
+  routeProbe: 'checking if failed hybrid route has recovered',
+  routeRestored: 'hybrid route has recovered',
+  routeSuccess: 'success',
+  scanInvalidSubnet: 'subnet must be in the format 192.168.1.0/24, and no larger than a /22',
+  sendBroker: 'sending local broker',
   sendFailed: 'sending update failed as',
   sendMQTT: 'sending mqtt',
   sendPolling: 'sending poll request',
   sendUpdate: 'sending update',
   sensorNoCloud: 'cloud connection is necessary for MSH300',
   sensorNoSubs: 'subdevice list not in correct format',
+  sessionCheckErr: 'Could not validate stored Meross session as',
+  sessionInvalid: 'Stored Meross session is no longer valid, logging in again',
+  sessionReused: 'Reusing stored Meross session',
+  sessionSaveErr: 'Could not store Meross session as',
   storageWriteErr: 'could not save accessory to file as',
+  syncFailed: 'Could not sync the Meross device list as',
+  syncNewDevice: 'has been added to the Meross account',
+  syncRenamed: 'has been renamed in the Meross app to',
   timeout: 'the request timed out',
+  tokenInvalid: 'Meross token has expired or is invalid',
+  tokenRelogin: 'Meross token has expired or is invalid, logging in again',
   viaAL: 'via adaptive lighting',
   welcome: 'This plugin has been made with ♥ by bwp91, please consider a ☆ on GitHub if you are finding it useful!',
+  writeConfirmed: 'device has confirmed the new state',
+  writeNotConfirmed: 'device did not change to the new state and reported',
   wrongDevice: 'queried IP belongs to a different Meross device',
 };
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import platformMeross from '../lib/platform.js';
+import { TransportNetworkError, TransportResponseError } from '../lib/utils/errors.js';
+import fakeTransport from './transport-fake.js';
+
+const serialNumber = '2101010000000000000000000000000a';
+const from = `/appliance/${serialNumber}/publish`;
+
+const reply = (namespace, payload = { [namespace]: {} }) => ({
+  header: { from, method: 'GETACK', namespace },
+  payload,
+});
+
+const requests = [
+  { namespace: 'Appliance.System.All', payload: {} },
+  { namespace: 'Appliance.Control.Electricity', payload: {} },
+];
+
+describe('platform sendMultiple', () => {
+  let accessory;
+  let platform;
+  let transport;
+
+  beforeEach(() => {
+    platform = new platformMeross();
+    platform.devicesInHB = new Map();
+    platform.pollers = new Map();
+    accessory = {
+      context: { serialNumber, userkey: 'key' },
+      logDebug: () => {},
+      logDebugWarn: () => {},
+    };
+    transport = new fakeTransport(platform, accessory);
+    accessory.transport = transport;
+  });
+
+  it('sends the requests in one message and matches the replies', async () => {
+    transport.reply({
+      header: { from, method: 'SETACK', namespace: 'Appliance.Control.Multiple' },
+      payload: { multiple: [reply('Appliance.Control.Electricity'), reply('Appliance.System.All')] },
+    });
+    const [all, electricity] = await platform.sendMultiple(accessory, requests);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].namespace, 'Appliance.Control.Multiple');
+    assert.equal(all.header.namespace, 'Appliance.System.All');
+    assert.equal(electricity.header.namespace, 'Appliance.Control.Electricity');
+    assert.equal(accessory.context.multipleSupport, true);
+  });
+
+  it('falls back to one request at a time after an error reply', async () => {
+    transport.reply(
+      { header: { method: 'ERROR' }, payload: { error: { code: 5000 } } },
+      reply('Appliance.System.All'),
+      reply('Appliance.Control.Electricity'),
+    );
+    const [all, electricity] = await platform.sendMultiple(accessory, requests);
+    assert.deepEqual(transport.sent.map((el) => el.namespace), [
+      'Appliance.Control.Multiple',
+      'Appliance.System.All',
+      'Appliance.Control.Electricity',
+    ]);
+    assert.equal(all.header.namespace, 'Appliance.System.All');
+    assert.equal(electricity.header.namespace, 'Appliance.Control.Electricity');
+    assert.equal(accessory.context.multipleSupport, false);
+
+    // The device is not sent a batch again
+    transport.reply(reply('Appliance.System.All'), reply('Appliance.Control.Electricity'));
+    await platform.sendMultiple(accessory, requests);
+    assert.equal(transport.sent[3].namespace, 'Appliance.System.All');
+  });
+
+  it('only passes on a failure of the first request when sent one at a time', async () => {
+    accessory.context.multipleSupport = false;
+    transport.reply(reply('Appliance.System.All'), new TransportNetworkError('EHOSTUNREACH', {}));
+    const [all, electricity] = await platform.sendMultiple(accessory, requests);
+    assert.equal(all.header.namespace, 'Appliance.System.All');
+    assert.equal(electricity, undefined);
+  });
+
+  it('keeps batching when the first reply in the batch fails', async () => {
+    transport.reply({
+      header: { from, method: 'SETACK', namespace: 'Appliance.Control.Multiple' },
+      payload: {
+        multiple: [
+          { header: { method: 'ERROR', namespace: 'Appliance.System.All' }, payload: { error: { code: 5000 } } },
+          reply('Appliance.Control.Electricity'),
+        ],
+      },
+    });
+    await assert.rejects(platform.sendMultiple(accessory, requests), TransportResponseError);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(accessory.context.multipleSupport, true);
+  });
+
+  it('does not decide support when the device cannot be reached', async () => {
+    transport.reply(new TransportNetworkError('EHOSTUNREACH', {}));
+    await assert.rejects(platform.sendMultiple(accessory, requests), TransportNetworkError);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(accessory.context.multipleSupport, undefined);
+  });
+});
@@ -0,0 +1,32 @@
+import baseTransport from '../lib/connection/transport.js';
+import { TransportUnavailableError } from '../lib/utils/errors.js';
+
+// A transport for testing that replies to each request with the next reply or error it was given
+// Every request is kept in sent so a test can check what the plugin asked for
+export default class extends baseTransport {
+  constructor(platform, accessory, name = 'fake') {
+    super(platform, accessory, name);
+    this.replies = [];
+    this.sent = [];
+  }
+
+  reply(...replies) {
+    this.replies.push(...replies);
+    return this;
+  }
+
+  async send(toSend) {
+    this.sent.push(toSend);
+    if (this.replies.length === 0) {
+      throw new TransportUnavailableError('no reply left', { transport: this.name });
+    }
+
+    // A reply can be a function of the request, such as to echo the namespace back
+    const next = this.replies.shift();
+    const reply = typeof next === 'function' ? next(toSend) : next;
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return reply;
+  }
+}
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import hybridTransport from '../lib/connection/transport-hybrid.js';
+import { TransportNetworkError, TransportResponseError } from '../lib/utils/errors.js';
+import fakeTransport from './transport-fake.js';
+
+const serialNumber = '2101010000000000000000000000000a';
+
+const reply = (namespace) => ({
+  header: { from: `/appliance/${serialNumber}/publish`, method: 'GETACK', namespace },
+  payload: { all: {} },
+});
+
+const networkError = () => new TransportNetworkError('EHOSTUNREACH', { transport: 'fake' });
+
+describe('hybrid transport', () => {
+  let accessory;
+  let local;
+  let cloud;
+  let transport;
+
+  beforeEach(() => {
+    const platform = { devicesInHB: new Map() };
+    accessory = {
+      context: { serialNumber },
+      logDebug: () => {},
+    };
+    transport = new hybridTransport(platform, accessory);
+    local = new fakeTransport(platform, accessory, 'local');
+    cloud = new fakeTransport(platform, accessory, 'cloud');
+    transport.routes.local.transport = local;
+    transport.routes.cloud.transport = cloud;
+  });
+
+  it('uses the local route while it works', async () => {
+    local.reply(reply('Appliance.System.All'));
+    const res = await transport.request('Appliance.System.All', 'GET', {});
+    assert.equal(res.transport, 'local');
+    assert.equal(cloud.sent.length, 0);
+    assert.equal(accessory.context.routeHealth.route, 'local');
+  });
+
+  it('falls back to the cloud and opens the local circuit after three network failures', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      local.reply(networkError());
+      cloud.reply(reply('Appliance.System.All'));
+      // eslint-disable-next-line no-await-in-loop
+      const res = await transport.request('Appliance.System.All', 'GET', {});
+      assert.equal(res.transport, 'cloud');
+    }
+    assert.equal(transport.routes.local.isOpen, true);
+    assert.equal(accessory.context.routeHealth.local.isOpen, true);
+
+    // The local route is skipped while its circuit is open
+    cloud.reply(reply('Appliance.System.All'));
+    const res = await transport.request('Appliance.System.All', 'GET', {});
+    assert.equal(res.transport, 'cloud');
+    assert.equal(local.sent.length, 3);
+    assert.equal(transport.route, 'cloud');
+  });
+
+  it('does not open the circuit for an error reply from the device', async () => {
+    const errorReply = { header: { method: 'ERROR' }, payload: { error: { code: 5000 } } };
+    for (let i = 0; i < 3; i += 1) {
+      local.reply(errorReply);
+      cloud.reply(errorReply);
+      // eslint-disable-next-line no-await-in-loop
+      await assert.rejects(transport.request('Appliance.Control.Unknown', 'GET', {}), TransportResponseError);
+    }
+    assert.equal(transport.routes.local.isOpen, false);
+    assert.equal(transport.routes.cloud.isOpen, false);
+  });
+
+  it('closes the circuit when a probe of the open route succeeds', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      local.reply(networkError());
+      cloud.reply(reply('Appliance.System.All'));
+      // eslint-disable-next-line no-await-in-loop
+      await transport.request('Appliance.System.All', 'GET', {});
+    }
+    assert.equal(transport.routes.local.isOpen, true);
+
+    // The probe is not sent until the probe interval has passed
+    cloud.reply(reply('Appliance.System.All'));
+    await transport.request('Appliance.System.All', 'GET', {});
+    assert.equal(local.sent.length, 3);
+
+    transport.routes.local.nextProbe = Date.now() - 1;
+    local.reply(reply('Appliance.System.All'));
+    cloud.reply(reply('Appliance.System.All'));
+    await transport.request('Appliance.System.All', 'GET', {});
+    await new Promise((resolve) => { setImmediate(resolve); });
+    assert.equal(local.sent.length, 4);
+    assert.equal(transport.routes.local.isOpen, false);
+
+    // The next request goes back to the local route
+    local.reply(reply('Appliance.System.All'));
+    const res = await transport.request('Appliance.System.All', 'GET', {});
+    assert.equal(res.transport, 'local');
+  });
+
+  it('closes the circuit when the open route is used and succeeds', async () => {
+    transport.addResult('local', false, 0);
+    transport.addResult('local', false, 0);
+    transport.addResult('local', false, 0);
+    assert.equal(transport.routes.local.isOpen, true);
+
+    // With both circuits open the local route is tried first
+    transport.addResult('cloud', false, 0);
+    transport.addResult('cloud', false, 0);
+    transport.addResult('cloud', false, 0);
+    local.reply(reply('Appliance.System.All'));
+    const res = await transport.request('Appliance.System.All', 'GET', {});
+    assert.equal(res.transport, 'local');
+    assert.equal(transport.routes.local.isOpen, false);
+    assert.equal(transport.getHealth('local').successRate, 100);
+  });
+});